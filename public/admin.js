@@ -0,0 +1,177 @@
+"use strict";
+// Admin dashboard: polls /admin/api/state and renders it. Everything is built
+// with textContent, so nothing the server reports is interpreted as HTML.
+
+const REFRESH_INTERVAL = 2000;
+
+const statusLabel = document.getElementById('admin-status');
+
+function formatBytes(bytes) {
+	const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+	let value = bytes;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+function formatDuration(ms) {
+	const seconds = Math.floor(ms / 1000);
+	if (seconds < 60) return `${seconds}s`;
+	const minutes = Math.floor(seconds / 60);
+	if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+	return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function cell(text) {
+	const td = document.createElement('td');
+	td.textContent = text === undefined || text === null ? '-' : String(text);
+	return td;
+}
+
+function actionCell(actions) {
+	const td = document.createElement('td');
+	for (const { label, danger, onClick } of actions) {
+		const button = document.createElement('button');
+		button.className = `btn ${danger ? 'btn-danger' : 'btn-secondary'}`;
+		button.textContent = label;
+		button.addEventListener('click', onClick);
+		td.appendChild(button);
+	}
+	return td;
+}
+
+function renderRows(tbodyId, items, toCells, emptyText) {
+	const tbody = document.getElementById(tbodyId);
+	tbody.replaceChildren();
+	if (!items.length) {
+		const row = document.createElement('tr');
+		const td = cell(emptyText);
+		td.colSpan = tbody.closest('table').querySelectorAll('th').length;
+		td.className = 'admin-muted';
+		row.appendChild(td);
+		tbody.appendChild(row);
+		return;
+	}
+	for (const item of items) {
+		const row = document.createElement('tr');
+		row.append(...toCells(item));
+		tbody.appendChild(row);
+	}
+}
+
+async function api(method, path, body) {
+	const response = await fetch(path, {
+		method,
+		headers: body ? { 'content-type': 'application/json' } : {},
+		body: body ? JSON.stringify(body) : undefined,
+	});
+	if (!response.ok) {
+		const data = await response.json().catch(() => ({}));
+		throw new Error(data.error || `HTTP ${response.status}`);
+	}
+	return response;
+}
+
+async function act(method, path, body, confirmText) {
+	if (confirmText && !confirm(confirmText)) return;
+	try {
+		await api(method, path, body);
+	} catch (err) {
+		alert(err.message);
+	}
+	refresh();
+}
+
+function render(state) {
+	const { server } = state;
+	const stats = [
+		['Uptime', formatDuration(server.uptimeSeconds * 1000)],
+		['Memory', formatBytes(server.memoryBytes)],
+		['Accepting', server.accepting ? 'yes' : 'no (shutting down)'],
+		['Connections', `${server.connections} open, ${server.connectionsTotal} total`],
+		['Streams', `${server.streams} open, ${server.streamsTotal} total`],
+		['Traffic', `${formatBytes(server.bytesIn)} in, ${formatBytes(server.bytesOut)} out`],
+	];
+	const statsContainer = document.getElementById('admin-stats');
+	statsContainer.replaceChildren(
+		...stats.map(([label, value]) => {
+			const item = document.createElement('div');
+			item.className = 'admin-stat';
+			const name = document.createElement('span');
+			name.className = 'admin-muted';
+			name.textContent = label;
+			const text = document.createElement('strong');
+			text.textContent = value;
+			item.append(name, text);
+			return item;
+		})
+	);
+
+	renderRows('admin-connections', state.connections, (conn) => [
+		cell(conn.id),
+		cell(conn.client),
+		cell(conn.ip),
+		cell(conn.streams),
+		cell(formatBytes(conn.bytesIn)),
+		cell(formatBytes(conn.bytesOut)),
+		cell(formatDuration(conn.durationMs)),
+		actionCell([
+			{ label: 'Kick', onClick: () => act('POST', `/admin/api/connections/${conn.id}/kick`) },
+			{
+				label: 'Ban IP',
+				danger: true,
+				onClick: () =>
+					act('POST', `/admin/api/connections/${conn.id}/ban`, null, `Ban ${conn.ip} and close its connections?`),
+			},
+		]),
+	], 'No open connections');
+
+	renderRows('admin-requests', state.requests, (request) => [
+		cell(new Date(request.at).toLocaleTimeString()),
+		cell(request.ip),
+		cell(request.method),
+		cell(request.target),
+		cell(request.status),
+		cell(`${request.durationMs} ms`),
+	], 'No requests yet');
+
+	renderRows('admin-bans', state.bans, (ban) => [
+		cell(ban.ip),
+		cell(new Date(ban.bannedAt).toLocaleString()),
+		cell(ban.by),
+		actionCell([{ label: 'Unban', onClick: () => act('DELETE', `/admin/api/bans/${ban.id}`) }]),
+	], 'Nobody is banned');
+
+	const { policy } = state;
+	document.getElementById('admin-policy').textContent = policy.file
+		? [`File: ${policy.file}`, `Deny: ${policy.deny.join(', ') || '(none)'}`, `Allow: ${policy.allow.join(', ') || '(everything)'}`].join('\n')
+		: 'No policy file configured; every destination is allowed.';
+	document.getElementById('admin-config').textContent = state.config.join('\n');
+}
+
+async function refresh() {
+	try {
+		const response = await api('GET', '/admin/api/state');
+		render(await response.json());
+		statusLabel.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+	} catch (err) {
+		statusLabel.textContent = `Could not load server state: ${err.message}`;
+	}
+}
+
+document.getElementById('admin-ban-form').addEventListener('submit', (event) => {
+	event.preventDefault();
+	const input = document.getElementById('admin-ban-ip');
+	const ip = input.value.trim();
+	if (!ip) return;
+	input.value = '';
+	act('POST', '/admin/api/bans', { ip });
+});
+
+refresh();
+setInterval(() => {
+	if (!document.hidden) refresh();
+}, REFRESH_INTERVAL);
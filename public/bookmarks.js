@@ -0,0 +1,709 @@
+"use strict";
+
+// Bookmarks: folders and links in IndexedDB, shown in the bookmarks bar, the
+// home page's quick links, the omnibox and the bookmarks manager. Every node
+// has a parent folder and a position among its siblings; the two root folders
+// ("Bookmarks Bar" and "Other Bookmarks") always exist. Import and export use
+// the Netscape bookmark file format every browser reads and writes.
+const BOOKMARKS_BAR_ID = 'bar';
+const BOOKMARKS_OTHER_ID = 'other';
+
+const BOOKMARK_ROOTS = [
+	{ id: BOOKMARKS_BAR_ID, type: 'folder', title: 'Bookmarks Bar', parentId: null, position: 0 },
+	{ id: BOOKMARKS_OTHER_ID, type: 'folder', title: 'Other Bookmarks', parentId: null, position: 1 },
+];
+
+// What the home page used to link to, saved on first use
+const DEFAULT_BOOKMARKS = [
+	{ title: 'Google', url: 'https://google.com' },
+	{ title: 'YouTube', url: 'https://youtube.com' },
+	{ title: 'Twitter', url: 'https://twitter.com' },
+	{ title: 'Reddit', url: 'https://reddit.com' },
+	{ title: 'Discord', url: 'https://discord.com' },
+	{ title: 'Instagram', url: 'https://instagram.com' },
+];
+
+function bookmarkId() {
+	return `bm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function escapeBookmarkHtml(text) {
+	return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Same page regardless of a trailing slash or www.
+function bookmarkKey(url) {
+	try {
+		const parsed = new URL(url);
+		return `${parsed.protocol}//${parsed.host.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}${parsed.search}`;
+	} catch (_) {
+		return url;
+	}
+}
+
+function checkBookmarkUrl(url) {
+	let parsed;
+	try {
+		parsed = new URL(String(url).trim());
+	} catch (_) {
+		throw new Error('That is not a valid URL.');
+	}
+	if (!/^https?:$/.test(parsed.protocol)) throw new Error('Only http:// and https:// pages can be bookmarked.');
+	return parsed.toString();
+}
+
+class BookmarkStore {
+	constructor() {
+		this.nodes = new Map(BOOKMARK_ROOTS.map(root => [root.id, { ...root }]));
+		this.listeners = [];
+		this.ready = this.load();
+	}
+
+	async load() {
+		try {
+			const saved = await novaDB.getAll('bookmarks');
+			if (saved.length) {
+				for (const node of saved) this.nodes.set(node.id, node);
+			} else {
+				await Promise.all(BOOKMARK_ROOTS.map(root => novaDB.put('bookmarks', root)));
+				for (const bookmark of DEFAULT_BOOKMARKS) await this.insert({ ...bookmark, parentId: BOOKMARKS_BAR_ID });
+			}
+		} catch (error) {
+			console.warn('Failed to load bookmarks:', error);
+		}
+		this.changed();
+	}
+
+	// Call fn after every change
+	subscribe(fn) {
+		this.listeners.push(fn);
+	}
+
+	changed() {
+		for (const fn of this.listeners) fn();
+	}
+
+	get(id) {
+		return this.nodes.get(id) || null;
+	}
+
+	children(parentId) {
+		return Array.from(this.nodes.values())
+			.filter(node => node.parentId === parentId)
+			.sort((a, b) => a.position - b.position);
+	}
+
+	bookmarks() {
+		return Array.from(this.nodes.values()).filter(node => node.type === 'bookmark');
+	}
+
+	findByUrl(url) {
+		const key = bookmarkKey(url);
+		return this.bookmarks().find(node => bookmarkKey(node.url) === key) || null;
+	}
+
+	// Whether a node is the folder or anywhere inside it; folders must not move into themselves
+	isInside(id, folderId) {
+		for (let node = this.get(id); node; node = this.get(node.parentId)) {
+			if (node.id === folderId) return true;
+		}
+		return false;
+	}
+
+	path(id) {
+		const names = [];
+		for (let node = this.get(this.get(id)?.parentId); node; node = this.get(node.parentId)) names.unshift(node.title);
+		return names.join(' / ');
+	}
+
+	async save(node) {
+		this.nodes.set(node.id, node);
+		await novaDB.put('bookmarks', node);
+	}
+
+	async add(fields) {
+		const node = await this.insert(fields);
+		this.changed();
+		return node;
+	}
+
+	// add() without notifying, for imports that add many nodes at once
+	async insert({ type = 'bookmark', title, url, parentId = BOOKMARKS_OTHER_ID, position, addedAt }) {
+		if (type === 'bookmark') url = checkBookmarkUrl(url);
+		const node = {
+			id: bookmarkId(),
+			type,
+			title: String(title || '').trim() || (type === 'folder' ? 'New Folder' : url),
+			url: type === 'bookmark' ? url : undefined,
+			parentId,
+			position: position === undefined ? this.children(parentId).length : position,
+			addedAt: addedAt || Date.now(),
+		};
+		await this.save(node);
+		return node;
+	}
+
+	async update(id, { title, url }) {
+		const node = this.get(id);
+		if (!node || !node.parentId) return null;
+		if (title !== undefined) node.title = String(title).trim() || node.title;
+		if (url !== undefined && node.type === 'bookmark') node.url = checkBookmarkUrl(url);
+		await this.save(node);
+		this.changed();
+		return node;
+	}
+
+	// Move a node into a folder at an index among its new siblings
+	async move(id, parentId, index) {
+		const node = this.get(id);
+		const parent = this.get(parentId);
+		if (!node || !node.parentId || !parent || parent.type !== 'folder' || this.isInside(parentId, id)) return;
+
+		const siblings = this.children(parentId).filter(sibling => sibling.id !== id);
+		siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, node);
+		const oldParentId = node.parentId;
+		node.parentId = parentId;
+		await Promise.all(siblings.map((sibling, position) => {
+			sibling.position = position;
+			return this.save(sibling);
+		}));
+		if (oldParentId !== parentId) await this.renumber(oldParentId);
+		this.changed();
+	}
+
+	async renumber(parentId) {
+		await Promise.all(this.children(parentId).map((node, position) => {
+			node.position = position;
+			return this.save(node);
+		}));
+	}
+
+	// Remove a node, and everything in it if it is a folder
+	async remove(id) {
+		const node = this.get(id);
+		if (!node || !node.parentId) return;
+		const ids = [];
+		const collect = nodeId => {
+			ids.push(nodeId);
+			for (const child of this.children(nodeId)) collect(child.id);
+		};
+		collect(id);
+		for (const nodeId of ids) this.nodes.delete(nodeId);
+		await Promise.all(ids.map(nodeId => novaDB.delete('bookmarks', nodeId)));
+		await this.renumber(node.parentId);
+		this.changed();
+	}
+
+	search(query) {
+		const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+		return this.bookmarks().filter(node => {
+			const haystack = `${node.title} ${node.url}`.toLowerCase();
+			return words.every(word => haystack.includes(word));
+		});
+	}
+
+	/**
+	 * Add the bookmarks from a Netscape bookmark file to a new folder.
+	 * @param {string} html
+	 * @returns {Promise<number>} How many bookmarks were imported.
+	 */
+	async importNetscape(html) {
+		const doc = new DOMParser().parseFromString(html, 'text/html');
+		const top = doc.querySelector('dl');
+		if (!top) throw new Error('The file is not a bookmarks file.');
+
+		const folder = await this.insert({
+			type: 'folder',
+			title: `Imported ${new Date().toLocaleDateString()}`,
+			parentId: BOOKMARKS_OTHER_ID,
+		});
+		let count = 0;
+		// Each <dt> holds either <a> (a bookmark) or <h3> followed by the folder's <dl>
+		const walk = async (list, parentId) => {
+			for (const item of Array.from(list.children).filter(child => child.tagName === 'DT')) {
+				const link = item.querySelector(':scope > a');
+				const heading = item.querySelector(':scope > h3');
+				if (link) {
+					try {
+						const addDate = Number(link.getAttribute('add_date'));
+						await this.insert({
+							title: link.textContent,
+							url: link.getAttribute('href'),
+							parentId,
+							addedAt: addDate ? addDate * 1000 : undefined,
+						});
+						count++;
+					} catch (_) {
+						// Not a web page (bookmarklets, place: queries)
+					}
+				} else if (heading) {
+					const sub = await this.insert({ type: 'folder', title: heading.textContent, parentId });
+					// Parsers put the folder's <dl> inside the <dt> or right after it
+					const nested = item.querySelector(':scope > dl') || item.nextElementSibling;
+					if (nested && nested.tagName === 'DL') await walk(nested, sub.id);
+				}
+			}
+		};
+		await walk(top, folder.id);
+		this.changed();
+		return count;
+	}
+
+	/**
+	 * Write every bookmark as a Netscape bookmark file.
+	 * @returns {string}
+	 */
+	exportNetscape() {
+		const seconds = ms => Math.floor((ms || Date.now()) / 1000);
+		const lines = [
+			'<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+			'<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+			'<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+			'<TITLE>Bookmarks</TITLE>',
+			'<H1>Bookmarks</H1>',
+			'<DL><p>',
+		];
+		const write = (parentId, depth) => {
+			const indent = '    '.repeat(depth);
+			for (const node of this.children(parentId)) {
+				if (node.type === 'folder') {
+					const toolbar = node.id === BOOKMARKS_BAR_ID ? ' PERSONAL_TOOLBAR_FOLDER="true"' : '';
+					lines.push(`${indent}<DT><H3 ADD_DATE="${seconds(node.addedAt)}"${toolbar}>${escapeBookmarkHtml(node.title)}</H3>`);
+					lines.push(`${indent}<DL><p>`);
+					write(node.id, depth + 1);
+					lines.push(`${indent}</DL><p>`);
+				} else {
+					lines.push(`${indent}<DT><A HREF="${escapeBookmarkHtml(node.url)}" ADD_DATE="${seconds(node.addedAt)}">${escapeBookmarkHtml(node.title)}</A>`);
+				}
+			}
+		};
+		// The root folders are written as folders too, the bar marked as the toolbar
+		write(null, 1);
+		lines.push('</DL><p>');
+		return lines.join('\n') + '\n';
+	}
+}
+
+const bookmarkStore = new BookmarkStore();
+
+// Bookmarks UI: the star in the address bar, the bookmarks bar, the home page's
+// quick links and the bookmarks manager
+
+function currentTabUrl() {
+	return tabManager.tabs.get(tabManager.currentTabId)?.url || null;
+}
+
+function updateBookmarkStar() {
+	const star = document.getElementById('bookmark-star');
+	if (!star) return;
+	const url = currentTabUrl();
+	const bookmark = url && bookmarkStore.findByUrl(url);
+	star.disabled = !url;
+	star.textContent = bookmark ? '★' : '☆';
+	star.classList.toggle('bookmarked', Boolean(bookmark));
+	star.title = bookmark ? `Remove bookmark (in ${bookmarkStore.path(bookmark.id)})` : 'Bookmark this page';
+}
+
+async function toggleBookmarkForCurrentTab() {
+	const url = currentTabUrl();
+	if (!url) return;
+	try {
+		const bookmark = bookmarkStore.findByUrl(url);
+		if (bookmark) {
+			await bookmarkStore.remove(bookmark.id);
+			return;
+		}
+		const tab = tabManager.tabs.get(tabManager.currentTabId);
+		const title = tab.title && tab.title !== 'Loading...' ? tab.title : url;
+		await bookmarkStore.add({ title, url, parentId: BOOKMARKS_BAR_ID });
+	} catch (error) {
+		alert(error.message);
+	}
+}
+
+// Ctrl/Cmd or middle click opens the bookmark in a new tab and stays on the current one
+function openBookmark(node, event) {
+	if (event && (event.ctrlKey || event.metaKey || event.button === 1)) {
+		const tabId = tabManager.createTab(node.url, node.title);
+		navigateToUrl(node.url, tabId);
+		return;
+	}
+	navigateTo(node.url);
+}
+
+let openBookmarkMenu = null;
+
+function closeBookmarkMenu() {
+	if (!openBookmarkMenu) return;
+	openBookmarkMenu.remove();
+	openBookmarkMenu = null;
+}
+
+// Dropdown for a folder on the bookmarks bar; subfolders are listed indented
+function showBookmarkFolderMenu(folder, anchor) {
+	const wasOpen = openBookmarkMenu?.dataset.folderId === folder.id;
+	closeBookmarkMenu();
+	if (wasOpen) return;
+
+	const menu = document.createElement('div');
+	menu.className = 'bookmark-menu';
+	menu.dataset.folderId = folder.id;
+	const addItems = (parentId, depth) => {
+		for (const node of bookmarkStore.children(parentId)) {
+			const item = document.createElement('button');
+			item.type = 'button';
+			item.className = `bookmark-menu-item${node.type === 'folder' ? ' bookmark-menu-folder' : ''}`;
+			item.style.paddingLeft = `${12 + depth * 16}px`;
+			item.textContent = node.type === 'folder' ? `▸ ${node.title}` : node.title;
+			if (node.type === 'bookmark') {
+				item.title = node.url;
+				item.addEventListener('click', event => {
+					closeBookmarkMenu();
+					openBookmark(node, event);
+				});
+			}
+			menu.appendChild(item);
+			if (node.type === 'folder') addItems(node.id, depth + 1);
+		}
+	};
+	addItems(folder.id, 0);
+	if (!menu.children.length) {
+		const empty = document.createElement('div');
+		empty.className = 'bookmark-menu-empty';
+		empty.textContent = '(empty)';
+		menu.appendChild(empty);
+	}
+
+	const rect = anchor.getBoundingClientRect();
+	menu.style.left = `${Math.min(rect.left, window.innerWidth - 260)}px`;
+	menu.style.top = `${rect.bottom + 4}px`;
+	document.body.appendChild(menu);
+	openBookmarkMenu = menu;
+}
+
+document.addEventListener('mousedown', event => {
+	if (openBookmarkMenu && !openBookmarkMenu.contains(event.target) && !event.target.closest('.bookmarks-bar-folder')) {
+		closeBookmarkMenu();
+	}
+});
+
+function bookmarkBarButton(node) {
+	const button = document.createElement('button');
+	button.type = 'button';
+	button.className = `bookmarks-bar-item${node.type === 'folder' ? ' bookmarks-bar-folder' : ''}`;
+	button.textContent = node.type === 'folder' ? `${node.title} ▾` : node.title;
+	if (node.type === 'folder') {
+		button.addEventListener('click', () => showBookmarkFolderMenu(node, button));
+	} else {
+		button.title = node.url;
+		button.addEventListener('click', event => openBookmark(node, event));
+		button.addEventListener('auxclick', event => {
+			if (event.button === 1) openBookmark(node, event);
+		});
+	}
+	return button;
+}
+
+function renderBookmarksBar() {
+	const bar = document.getElementById('bookmarks-bar');
+	if (!bar) return;
+	const items = document.createElement('div');
+	items.className = 'bookmarks-bar-items';
+	items.append(...bookmarkStore.children(BOOKMARKS_BAR_ID).map(bookmarkBarButton));
+
+	const other = bookmarkBarButton(bookmarkStore.get(BOOKMARKS_OTHER_ID));
+	const manage = document.createElement('button');
+	manage.type = 'button';
+	manage.className = 'bookmarks-bar-item';
+	manage.textContent = 'Manage';
+	manage.title = 'Bookmarks manager (Ctrl+Shift+O)';
+	manage.addEventListener('click', () => openBookmarksManager());
+	const history = document.createElement('button');
+	history.type = 'button';
+	history.className = 'bookmarks-bar-item';
+	history.textContent = 'History';
+	history.title = 'History (Ctrl+H)';
+	history.addEventListener('click', () => openHistoryView());
+	bar.replaceChildren(items, other, manage, history);
+}
+
+// The home page links to the bookmarks on the bar
+function renderQuickLinks() {
+	const grid = document.getElementById('quick-links');
+	if (!grid) return;
+	const bookmarks = bookmarkStore.children(BOOKMARKS_BAR_ID).filter(node => node.type === 'bookmark');
+	grid.replaceChildren(...bookmarks.map(node => {
+		const link = document.createElement('a');
+		link.href = '#';
+		link.className = 'quick-link';
+		link.title = node.url;
+		link.addEventListener('click', event => {
+			event.preventDefault();
+			openBookmark(node, event);
+		});
+		const label = document.createElement('span');
+		label.textContent = node.title;
+		link.appendChild(label);
+		return link;
+	}));
+	if (!bookmarks.length) {
+		const hint = document.createElement('p');
+		hint.className = 'quick-links-empty';
+		hint.textContent = 'Bookmark a page with ☆ to see it here.';
+		grid.appendChild(hint);
+	}
+}
+
+// Bookmarks manager
+
+let managerFolderId = BOOKMARKS_BAR_ID;
+let managerEditingId = null;
+
+function openBookmarksManager(folderId = managerFolderId) {
+	closeBookmarkMenu();
+	managerFolderId = bookmarkStore.get(folderId) ? folderId : BOOKMARKS_BAR_ID;
+	managerEditingId = null;
+	document.getElementById('bookmarks-search').value = '';
+	document.getElementById('bookmarks-modal').style.display = 'flex';
+	renderBookmarksManager();
+}
+
+function closeBookmarksManager() {
+	document.getElementById('bookmarks-modal').style.display = 'none';
+}
+
+function bookmarksManagerOpen() {
+	return document.getElementById('bookmarks-modal')?.style.display === 'flex';
+}
+
+function renderBookmarksManager() {
+	if (!bookmarksManagerOpen()) return;
+	if (!bookmarkStore.get(managerFolderId)) managerFolderId = BOOKMARKS_BAR_ID;
+	renderBookmarkTree();
+	renderBookmarkList();
+}
+
+// Folder tree; bookmarks dropped on a folder move to its end
+function renderBookmarkTree() {
+	const tree = document.getElementById('bookmarks-tree');
+	tree.replaceChildren();
+	const addFolders = (parentId, depth) => {
+		for (const folder of bookmarkStore.children(parentId).filter(node => node.type === 'folder')) {
+			const item = document.createElement('button');
+			item.type = 'button';
+			item.className = `bookmarks-tree-item${folder.id === managerFolderId ? ' active' : ''}`;
+			item.style.paddingLeft = `${8 + depth * 14}px`;
+			item.textContent = folder.title;
+			item.addEventListener('click', () => {
+				managerFolderId = folder.id;
+				managerEditingId = null;
+				document.getElementById('bookmarks-search').value = '';
+				renderBookmarksManager();
+			});
+			item.addEventListener('dragover', event => {
+				event.preventDefault();
+				item.classList.add('drop-target');
+			});
+			item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+			item.addEventListener('drop', event => {
+				event.preventDefault();
+				item.classList.remove('drop-target');
+				const id = event.dataTransfer.getData('text/x-novanet-bookmark');
+				if (id) bookmarkStore.move(id, folder.id, Infinity);
+			});
+			tree.appendChild(item);
+			addFolders(folder.id, depth + 1);
+		}
+	};
+	addFolders(null, 0);
+}
+
+function renderBookmarkList() {
+	const list = document.getElementById('bookmarks-list');
+	const query = document.getElementById('bookmarks-search').value.trim();
+	const searching = Boolean(query);
+	const nodes = searching ? bookmarkStore.search(query) : bookmarkStore.children(managerFolderId);
+
+	document.getElementById('bookmarks-list-title').textContent = searching
+		? `Results for "${query}"`
+		: bookmarkStore.get(managerFolderId).title;
+	list.replaceChildren();
+
+	nodes.forEach((node, index) => {
+		list.appendChild(node.id === managerEditingId ? bookmarkEditRow(node) : bookmarkRow(node, index, searching));
+	});
+	if (!nodes.length) {
+		const empty = document.createElement('div');
+		empty.className = 'bookmarks-empty';
+		empty.textContent = searching ? 'No bookmarks match.' : 'This folder is empty.';
+		list.appendChild(empty);
+	}
+}
+
+function bookmarkRow(node, index, searching) {
+	const row = document.createElement('div');
+	row.className = 'bookmarks-row';
+	// Reordering only makes sense within a folder, not in search results
+	row.draggable = !searching;
+
+	const icon = document.createElement('span');
+	icon.className = 'bookmarks-row-icon';
+	icon.textContent = node.type === 'folder' ? '▸' : '★';
+
+	const info = document.createElement('button');
+	info.type = 'button';
+	info.className = 'bookmarks-row-info';
+	const title = document.createElement('span');
+	title.className = 'bookmarks-row-title';
+	title.textContent = node.title;
+	const detail = document.createElement('span');
+	detail.className = 'bookmarks-row-detail';
+	detail.textContent = node.type === 'folder'
+		? `${bookmarkStore.children(node.id).length} items`
+		: searching ? `${bookmarkStore.path(node.id)} · ${node.url}` : node.url;
+	info.append(title, detail);
+	info.addEventListener('click', event => {
+		if (node.type === 'folder') {
+			managerFolderId = node.id;
+			renderBookmarksManager();
+			return;
+		}
+		closeBookmarksManager();
+		openBookmark(node, event);
+	});
+
+	const edit = document.createElement('button');
+	edit.type = 'button';
+	edit.className = 'btn btn-secondary';
+	edit.textContent = 'Edit';
+	edit.addEventListener('click', () => {
+		managerEditingId = node.id;
+		renderBookmarkList();
+	});
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.className = 'btn btn-danger';
+	remove.textContent = 'Delete';
+	remove.addEventListener('click', () => {
+		const inside = node.type === 'folder' ? ' and everything in it' : '';
+		if (confirm(`Delete ${node.title}${inside}?`)) bookmarkStore.remove(node.id);
+	});
+
+	row.append(icon, info, edit, remove);
+
+	if (!searching) {
+		row.addEventListener('dragstart', event => {
+			event.dataTransfer.setData('text/x-novanet-bookmark', node.id);
+			event.dataTransfer.effectAllowed = 'move';
+			row.classList.add('dragging');
+		});
+		row.addEventListener('dragend', () => row.classList.remove('dragging'));
+		row.addEventListener('dragover', event => {
+			event.preventDefault();
+			const after = event.offsetY > row.offsetHeight / 2;
+			row.classList.toggle('drop-before', !after);
+			row.classList.toggle('drop-after', after);
+		});
+		row.addEventListener('dragleave', () => row.classList.remove('drop-before', 'drop-after'));
+		row.addEventListener('drop', event => {
+			event.preventDefault();
+			const after = row.classList.contains('drop-after');
+			row.classList.remove('drop-before', 'drop-after');
+			const id = event.dataTransfer.getData('text/x-novanet-bookmark');
+			if (!id || id === node.id) return;
+			// Indexes count the siblings without the dragged node
+			const from = bookmarkStore.children(managerFolderId).findIndex(sibling => sibling.id === id);
+			let to = index + (after ? 1 : 0);
+			if (from !== -1 && from < to) to--;
+			bookmarkStore.move(id, managerFolderId, to);
+		});
+	}
+	return row;
+}
+
+function bookmarkEditRow(node) {
+	const form = document.createElement('form');
+	form.className = 'bookmarks-row bookmarks-edit';
+
+	const title = document.createElement('input');
+	title.type = 'text';
+	title.value = node.title;
+	title.placeholder = 'Name';
+	form.appendChild(title);
+
+	let url = null;
+	if (node.type === 'bookmark') {
+		url = document.createElement('input');
+		url.type = 'text';
+		url.value = node.url;
+		url.placeholder = 'URL';
+		url.spellcheck = false;
+		form.appendChild(url);
+	}
+
+	const save = document.createElement('button');
+	save.type = 'submit';
+	save.className = 'btn btn-secondary';
+	save.textContent = 'Save';
+	const cancel = document.createElement('button');
+	cancel.type = 'button';
+	cancel.className = 'btn btn-secondary';
+	cancel.textContent = 'Cancel';
+	cancel.addEventListener('click', () => {
+		managerEditingId = null;
+		renderBookmarkList();
+	});
+	form.append(save, cancel);
+
+	form.addEventListener('submit', async event => {
+		event.preventDefault();
+		try {
+			managerEditingId = null;
+			await bookmarkStore.update(node.id, { title: title.value, url: url ? url.value : undefined });
+		} catch (error) {
+			managerEditingId = node.id;
+			alert(error.message);
+		}
+	});
+	setTimeout(() => title.focus());
+	return form;
+}
+
+async function addBookmarkFolder() {
+	const title = prompt('Folder name', 'New Folder');
+	if (title === null) return;
+	const folder = await bookmarkStore.add({ type: 'folder', title, parentId: managerFolderId });
+	managerFolderId = folder.id;
+	renderBookmarksManager();
+}
+
+async function importBookmarksFile(input) {
+	const file = input.files[0];
+	input.value = '';
+	if (!file) return;
+	try {
+		const count = await bookmarkStore.importNetscape(await file.text());
+		alert(`Imported ${count} bookmark${count === 1 ? '' : 's'} into Other Bookmarks.`);
+	} catch (error) {
+		alert(error.message);
+	}
+}
+
+function exportBookmarks() {
+	const blob = new Blob([bookmarkStore.exportNetscape()], { type: 'text/html' });
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(blob);
+	link.download = `novanet-bookmarks-${new Date().toISOString().slice(0, 10)}.html`;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+bookmarkStore.subscribe(() => {
+	renderBookmarksBar();
+	renderQuickLinks();
+	updateBookmarkStar();
+	renderBookmarksManager();
+});
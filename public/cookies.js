@@ -0,0 +1,407 @@
+"use strict";
+
+// Cookie jar following RFC 6265 (with the Secure, SameSite and cookie prefix
+// rules of RFC 6265bis): cookies are keyed by domain, path and name, match
+// parent domains unless they are host-only, and expire. Persistent cookies
+// live in the profile's IndexedDB `cookies` store; session cookies stay in
+// memory and end with the page.
+const COOKIE_MAX_BYTES = 4096;
+// Per registrable domain (example.co.uk) and per jar; going over evicts down by the purge count
+const COOKIE_MAX_PER_SITE = 180;
+const COOKIE_PURGE_PER_SITE = 30;
+const COOKIE_MAX_TOTAL = 3300;
+const COOKIE_PURGE_TOTAL = 300;
+const COOKIE_PRIORITIES = { low: 0, medium: 1, high: 2 };
+// Earlier versions saved cookies to localStorage under these keys. Each
+// domain's Map serialized as {}, so there is nothing in them to carry over.
+const LEGACY_COOKIE_KEY = /^novanet_cookies(_|$)/;
+
+// Suffixes under which anyone can register a name, so no cookie may be set
+// for them. Every single-label domain (com, io, ...) is one too. This is the
+// part of the Public Suffix List most sites sit under, not the whole list.
+const PUBLIC_SUFFIXES = new Set([
+	'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'sch.uk', 'nhs.uk',
+	'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+	'co.nz', 'net.nz', 'org.nz', 'govt.nz', 'ac.nz',
+	'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'gr.jp',
+	'co.kr', 'or.kr', 'ne.kr', 'go.kr',
+	'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn',
+	'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.ph', 'com.vn', 'co.id', 'co.th', 'in.th',
+	'co.in', 'net.in', 'org.in', 'gov.in', 'ac.in',
+	'com.br', 'net.br', 'org.br', 'gov.br', 'com.mx', 'com.ar', 'com.co', 'com.pe', 'com.ve',
+	'co.za', 'org.za', 'gov.za', 'com.ng', 'co.ke',
+	'com.tr', 'com.ua', 'com.pl', 'com.es', 'com.pt', 'com.gr', 'co.il', 'org.il', 'ac.il', 'com.sa', 'com.eg',
+	'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev',
+	'appspot.com', 'blogspot.com', 'cloudfront.net', 'azurewebsites.net', 'firebaseapp.com', 'web.app',
+	'glitch.me', 'fly.dev', 'onrender.com', 'repl.co', 'ngrok.io', 'ngrok-free.app',
+]);
+
+function isIpHost(host) {
+	return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+function isPublicSuffix(domain) {
+	return !domain.includes('.') || PUBLIC_SUFFIXES.has(domain);
+}
+
+// The public suffix plus one label: what counts as one site for SameSite and eviction
+function registrableDomain(host) {
+	if (isIpHost(host)) return host;
+	const labels = host.split('.');
+	for (let i = 1; i < labels.length; i++) {
+		if (isPublicSuffix(labels.slice(i).join('.'))) return labels.slice(i - 1).join('.');
+	}
+	return host;
+}
+
+// RFC 6265 5.1.3
+function domainMatches(host, domain) {
+	return host === domain || (host.endsWith(`.${domain}`) && !isIpHost(host));
+}
+
+// RFC 6265 5.1.4: a request path matches the cookie path or sits below it
+function pathMatches(requestPath, cookiePath) {
+	if (requestPath === cookiePath) return true;
+	if (!requestPath.startsWith(cookiePath)) return false;
+	return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+function defaultPath(url) {
+	const index = url.pathname.lastIndexOf('/');
+	return index > 0 ? url.pathname.slice(0, index) : '/';
+}
+
+function isSecureUrl(url) {
+	return url.protocol === 'https:' || url.protocol === 'wss:';
+}
+
+/**
+ * Parse one Set-Cookie header (or document.cookie assignment) received from `url`.
+ * @param {string} header
+ * @param {URL} url
+ * @returns {object | null} The cookie, or null if it is malformed or not allowed for `url`.
+ */
+function parseSetCookie(header, url) {
+	if (header.length > COOKIE_MAX_BYTES) return null;
+	const [pair, ...attributes] = header.split(';');
+	// Only the first = separates the name; values may contain more
+	const index = pair.indexOf('=');
+	const name = index === -1 ? '' : pair.slice(0, index).trim();
+	const value = index === -1 ? pair.trim() : pair.slice(index + 1).trim();
+	if (!name && !value) return null;
+
+	const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+	const now = Date.now();
+	const cookie = {
+		name,
+		value,
+		domain: host,
+		hostOnly: true,
+		path: defaultPath(url),
+		secure: false,
+		httpOnly: false,
+		sameSite: 'Lax',
+		priority: 'Medium',
+		expires: null,
+		createdAt: now,
+		accessedAt: now,
+	};
+
+	let domain = '';
+	let maxAge = null;
+	for (const attribute of attributes) {
+		const eq = attribute.indexOf('=');
+		const key = (eq === -1 ? attribute : attribute.slice(0, eq)).trim().toLowerCase();
+		const arg = eq === -1 ? '' : attribute.slice(eq + 1).trim();
+
+		if (key === 'domain') {
+			// The last Domain attribute wins, even an empty one
+			domain = arg.replace(/^\./, '').toLowerCase();
+		} else if (key === 'path') {
+			cookie.path = arg.startsWith('/') ? arg : defaultPath(url);
+		} else if (key === 'secure') {
+			cookie.secure = true;
+		} else if (key === 'httponly') {
+			cookie.httpOnly = true;
+		} else if (key === 'max-age' && /^-?\d+$/.test(arg)) {
+			maxAge = parseInt(arg, 10);
+		} else if (key === 'expires') {
+			const time = Date.parse(arg);
+			if (!Number.isNaN(time)) cookie.expires = time;
+		} else if (key === 'samesite') {
+			const sameSite = arg.toLowerCase();
+			if (sameSite === 'strict') cookie.sameSite = 'Strict';
+			else if (sameSite === 'none') cookie.sameSite = 'None';
+			else cookie.sameSite = 'Lax';
+		} else if (key === 'priority') {
+			const priority = arg.toLowerCase();
+			if (priority in COOKIE_PRIORITIES) cookie.priority = priority[0].toUpperCase() + priority.slice(1);
+		}
+	}
+	// Max-Age wins over Expires; zero or less expires the cookie now
+	if (maxAge !== null) cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000;
+
+	if (domain) {
+		// A public suffix is only allowed as the host itself, and then sets a host-only cookie
+		if (isPublicSuffix(domain) && domain !== host) return null;
+		if (!domainMatches(host, domain)) return null;
+		cookie.domain = domain;
+		cookie.hostOnly = isPublicSuffix(domain);
+	}
+
+	// Only secure origins may set secure cookies, and SameSite=None needs Secure
+	if (cookie.secure && !isSecureUrl(url)) return null;
+	if (cookie.sameSite === 'None' && !cookie.secure) return null;
+	// Cookie prefixes promise how the cookie was set
+	if (name.startsWith('__Secure-') && !cookie.secure) return null;
+	if (name.startsWith('__Host-') && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) return null;
+	return cookie;
+}
+
+class CookieManager {
+	/**
+	 * @param {{ db?: NovaDB | null }} [options] Database holding the `cookies` store;
+	 *   without one (private tabs) every cookie is kept in memory only.
+	 */
+	constructor({ db = novaDB } = {}) {
+		this.db = db;
+		// domain -> Map of `${name};${path}` -> cookie
+		this.domains = new Map();
+		this.size = 0;
+		this.ready = this.load();
+	}
+
+	async load() {
+		if (!this.db) return;
+		if (this.db === novaDB) this.dropLegacyCookies();
+		try {
+			const now = Date.now();
+			const expired = [];
+			for (const cookie of await this.db.getAll('cookies')) {
+				if (cookie.expires !== null && cookie.expires <= now) expired.push(cookie.key);
+				else this.insert(cookie);
+			}
+			await Promise.all(expired.map(key => this.db.delete('cookies', key)));
+		} catch (error) {
+			console.warn('Failed to load cookies:', error);
+		}
+	}
+
+	dropLegacyCookies() {
+		try {
+			const keys = [];
+			for (let i = 0; i < localStorage.length; i++) {
+				if (LEGACY_COOKIE_KEY.test(localStorage.key(i))) keys.push(localStorage.key(i));
+			}
+			for (const key of keys) localStorage.removeItem(key);
+		} catch (_) {}
+	}
+
+	// Write a changed cookie through to the database; only persistent cookies are kept there
+	persist(cookie) {
+		if (!this.db) return;
+		const write = cookie.expires === null
+			? this.db.delete('cookies', cookie.key)
+			: this.db.put('cookies', cookie);
+		write.catch(error => console.warn('Failed to save cookie:', cookie.name, error));
+	}
+
+	unpersist(cookie) {
+		if (!this.db || cookie.expires === null) return;
+		this.db.delete('cookies', cookie.key).catch(error => console.warn('Failed to delete cookie:', cookie.name, error));
+	}
+
+	insert(cookie) {
+		let cookies = this.domains.get(cookie.domain);
+		if (!cookies) {
+			cookies = new Map();
+			this.domains.set(cookie.domain, cookies);
+		}
+		cookies.set(`${cookie.name};${cookie.path}`, cookie);
+		this.size++;
+	}
+
+	remove(cookie) {
+		const cookies = this.domains.get(cookie.domain);
+		if (!cookies?.delete(`${cookie.name};${cookie.path}`)) return;
+		this.size--;
+		if (!cookies.size) this.domains.delete(cookie.domain);
+		this.unpersist(cookie);
+	}
+
+	// Every live cookie, by domain then path then name
+	list() {
+		const now = Date.now();
+		const cookies = [];
+		for (const domainCookies of this.domains.values()) {
+			for (const cookie of domainCookies.values()) {
+				if (cookie.expires === null || cookie.expires > now) cookies.push(cookie);
+			}
+		}
+		return cookies.sort((a, b) => a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path) || a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Store one cookie received from `url` (RFC 6265 5.3).
+	 * @param {string} header A Set-Cookie header or document.cookie assignment.
+	 * @param {string | URL} url
+	 * @param {{ http?: boolean, crossSite?: boolean, topLevel?: boolean }} [context]
+	 *   `http: false` for document.cookie, which may not set or replace HttpOnly cookies.
+	 * @returns {boolean} Whether the cookie was stored (or deleted by an expiry in the past).
+	 */
+	setCookie(header, url, { http = true, crossSite = false, topLevel = true } = {}) {
+		url = new URL(url);
+		const cookie = parseSetCookie(header, url);
+		if (!cookie) return false;
+		if (cookie.httpOnly && !http) return false;
+		// Cross-site subresources may only set SameSite=None cookies
+		if (crossSite && !topLevel && cookie.sameSite !== 'None') return false;
+
+		// Insecure pages may not shadow a secure cookie of the same name
+		if (!cookie.secure && !isSecureUrl(url)) {
+			for (const existing of this.list()) {
+				if (existing.secure && existing.name === cookie.name
+					&& (domainMatches(cookie.domain, existing.domain) || domainMatches(existing.domain, cookie.domain))
+					&& pathMatches(cookie.path, existing.path)) return false;
+			}
+		}
+
+		const existing = this.domains.get(cookie.domain)?.get(`${cookie.name};${cookie.path}`);
+		if (existing) {
+			if (existing.httpOnly && !http) return false;
+			// Replacing a cookie keeps its creation time, which orders the Cookie header
+			cookie.createdAt = existing.createdAt;
+			this.remove(existing);
+		}
+		// An expiry in the past is how servers delete cookies
+		if (cookie.expires !== null && cookie.expires <= Date.now()) return true;
+
+		cookie.key = `${cookie.domain};${cookie.path};${cookie.name}`;
+		this.insert(cookie);
+		this.persist(cookie);
+		this.evict(cookie);
+		return true;
+	}
+
+	/**
+	 * Store the cookies set by a response.
+	 * @param {string | URL} url The URL the response came from.
+	 * @param {string | string[]} headers Its Set-Cookie headers.
+	 * @param {object} [context] As for setCookie.
+	 */
+	parseSetCookieHeaders(url, headers, context) {
+		for (const header of [].concat(headers || [])) this.setCookie(header, url, context);
+	}
+
+	/**
+	 * Cookies to send to `url`, in Cookie header order (RFC 6265 5.4).
+	 * @param {string | URL} url
+	 * @param {{ http?: boolean, crossSite?: boolean, topLevel?: boolean, method?: string }} [context]
+	 *   `http: false` leaves out HttpOnly cookies, as document.cookie does.
+	 * @returns {object[]}
+	 */
+	cookiesFor(url, { http = true, crossSite = false, topLevel = true, method = 'GET' } = {}) {
+		url = new URL(url);
+		const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+		const now = Date.now();
+		const matches = [];
+
+		// Walk up from the host itself: a.b.example.com, b.example.com, example.com, com
+		const labels = host.split('.');
+		const candidates = isIpHost(host) ? [host] : labels.map((label, i) => labels.slice(i).join('.'));
+		for (const domain of candidates) {
+			for (const cookie of this.domains.get(domain)?.values() || []) {
+				if (cookie.expires !== null && cookie.expires <= now) continue;
+				if (cookie.hostOnly && domain !== host) continue;
+				if (cookie.secure && !isSecureUrl(url)) continue;
+				if (cookie.httpOnly && !http) continue;
+				if (!pathMatches(url.pathname, cookie.path)) continue;
+				if (crossSite && cookie.sameSite === 'Strict') continue;
+				// Lax cookies go cross-site only with top-level navigations by safe methods
+				if (crossSite && cookie.sameSite === 'Lax' && !(topLevel && /^(GET|HEAD)$/i.test(method))) continue;
+				matches.push(cookie);
+			}
+		}
+
+		// Access times only order eviction, so they are not written back on every read
+		for (const cookie of matches) cookie.accessedAt = now;
+		// Longer paths first, then oldest first
+		return matches.sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt);
+	}
+
+	/**
+	 * Build the Cookie header (or document.cookie string) for `url`.
+	 * @param {string | URL} url
+	 * @param {object} [context] As for cookiesFor.
+	 * @returns {string} Empty when no cookie applies.
+	 */
+	getCookieString(url, context) {
+		return this.cookiesFor(url, context).map(({ name, value }) => (name ? `${name}=${value}` : value)).join('; ');
+	}
+
+	/**
+	 * Take in what a page's document.cookie reads as. Cookies we know keep their
+	 * attributes and only change value; others are stored as session cookies.
+	 * @param {string | URL} url The page.
+	 * @param {string} cookieString
+	 */
+	syncDocumentCookies(url, cookieString) {
+		const known = new Map(this.cookiesFor(url, { http: false }).map(cookie => [cookie.name, cookie]));
+		for (const pair of cookieString.split(';')) {
+			const index = pair.indexOf('=');
+			const name = index === -1 ? '' : pair.slice(0, index).trim();
+			const value = index === -1 ? pair.trim() : pair.slice(index + 1).trim();
+			if (!name && !value) continue;
+			const cookie = known.get(name);
+			if (!cookie) {
+				this.setCookie(pair.trim(), url, { http: false });
+			} else if (cookie.value !== value) {
+				cookie.value = value;
+				this.persist(cookie);
+			}
+		}
+	}
+
+	deleteCookie(cookie) {
+		this.remove(cookie);
+	}
+
+	async clearAllCookies() {
+		this.domains.clear();
+		this.size = 0;
+		if (this.db) await this.db.clear('cookies');
+	}
+
+	// Expired cookies go first, then the lowest priority, insecure and least recently used ones
+	evict(added) {
+		const now = Date.now();
+		const all = this.list();
+		if (all.length < this.size) {
+			for (const domainCookies of Array.from(this.domains.values())) {
+				for (const cookie of Array.from(domainCookies.values())) {
+					if (cookie.expires !== null && cookie.expires <= now) this.remove(cookie);
+				}
+			}
+		}
+
+		const site = registrableDomain(added.domain);
+		const siteCookies = all.filter(cookie => registrableDomain(cookie.domain) === site);
+		if (siteCookies.length > COOKIE_MAX_PER_SITE) {
+			this.evictFrom(siteCookies, siteCookies.length - COOKIE_MAX_PER_SITE + COOKIE_PURGE_PER_SITE);
+		}
+		if (this.size > COOKIE_MAX_TOTAL) {
+			this.evictFrom(this.list(), this.size - COOKIE_MAX_TOTAL + COOKIE_PURGE_TOTAL);
+		}
+	}
+
+	evictFrom(cookies, count) {
+		const order = cookies.slice().sort((a, b) =>
+			COOKIE_PRIORITIES[a.priority.toLowerCase()] - COOKIE_PRIORITIES[b.priority.toLowerCase()]
+			|| a.secure - b.secure
+			|| a.accessedAt - b.accessedAt);
+		for (const cookie of order.slice(0, count)) this.remove(cookie);
+	}
+}
+
+// Cookies of the default profile
+const cookieManager = new CookieManager();
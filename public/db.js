@@ -0,0 +1,115 @@
+"use strict";
+
+// IndexedDB storage shared by the NovaNet UI
+const NOVANET_DB_NAME = 'novanet';
+const NOVANET_DB_VERSION = 6;
+
+// Object stores created (or extended with missing indexes) on upgrade
+const NOVANET_DB_STORES = {
+	session: { keyPath: 'key' },
+	searchEngines: { keyPath: 'id' },
+	bookmarks: { keyPath: 'id', indexes: [{ name: 'parentId', keyPath: 'parentId' }] },
+	history: { keyPath: 'url', indexes: [{ name: 'lastVisit', keyPath: 'lastVisit' }] },
+	siteData: { keyPath: 'key' },
+	profiles: { keyPath: 'id' },
+	cookies: { keyPath: 'key' },
+};
+
+class NovaDB {
+	constructor(name, version, stores) {
+		this.name = name;
+		this.version = version;
+		this.stores = stores;
+		this.dbPromise = null;
+	}
+
+	// Open the database once and reuse the connection
+	open() {
+		if (this.dbPromise) return this.dbPromise;
+
+		this.dbPromise = new Promise((resolve, reject) => {
+			if (!window.indexedDB) {
+				reject(new Error('IndexedDB is not available'));
+				return;
+			}
+
+			const request = indexedDB.open(this.name, this.version);
+			request.onupgradeneeded = () => this.upgrade(request.result, request.transaction);
+			request.onsuccess = () => {
+				const db = request.result;
+				// Another tab upgraded the schema, drop our handle so it can proceed
+				db.onversionchange = () => {
+					db.close();
+					this.dbPromise = null;
+				};
+				resolve(db);
+			};
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => console.warn('IndexedDB upgrade blocked by another NovaNet tab');
+		});
+
+		// Allow a later retry if opening failed
+		this.dbPromise.catch(() => { this.dbPromise = null; });
+		return this.dbPromise;
+	}
+
+	upgrade(db, transaction) {
+		for (const [name, def] of Object.entries(this.stores)) {
+			const store = db.objectStoreNames.contains(name)
+				? transaction.objectStore(name)
+				: db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+
+			for (const index of def.indexes || []) {
+				if (!store.indexNames.contains(index.name)) {
+					store.createIndex(index.name, index.keyPath, index.options || {});
+				}
+			}
+		}
+	}
+
+	// Run fn against a store inside a transaction and resolve with the request result
+	async run(storeName, mode, fn) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(storeName, mode);
+			const request = fn(tx.objectStore(storeName));
+			tx.oncomplete = () => resolve(request ? request.result : undefined);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+
+	get(storeName, key) {
+		return this.run(storeName, 'readonly', store => store.get(key));
+	}
+
+	getAll(storeName) {
+		return this.run(storeName, 'readonly', store => store.getAll());
+	}
+
+	put(storeName, value) {
+		return this.run(storeName, 'readwrite', store => store.put(value));
+	}
+
+	delete(storeName, key) {
+		return this.run(storeName, 'readwrite', store => store.delete(key));
+	}
+
+	clear(storeName) {
+		return this.run(storeName, 'readwrite', store => store.clear());
+	}
+
+	// Close the connection and delete the whole database
+	async destroy() {
+		const db = this.dbPromise && await this.dbPromise.catch(() => null);
+		if (db) db.close();
+		this.dbPromise = null;
+		await new Promise((resolve, reject) => {
+			const request = indexedDB.deleteDatabase(this.name);
+			request.onsuccess = () => resolve();
+			request.onerror = () => reject(request.error);
+		});
+	}
+}
+
+const novaDB = new NovaDB(NOVANET_DB_NAME, NOVANET_DB_VERSION, NOVANET_DB_STORES);
@@ -0,0 +1,33 @@
+"use strict";
+/**
+ * Pick the server's error page (GET /error/<kind>) for a failed navigation.
+ * Transports and scramjet only hand us an error message, so this goes by
+ * the wording Node, epoxy and the browser use.
+ * Used in index.html and sw.js
+ * @param {unknown} error
+ * @param {string} fallback Kind to use when the message says nothing specific.
+ * @returns {string}
+ */
+function errorPageKind(error, fallback) {
+	const message = String(error && error.message ? error.message : error);
+	if (/ENOTFOUND|EAI_AGAIN|dns|resolve|name not known/i.test(message)) return 'dnsFailure';
+	if (/ECONNREFUSED|refused/i.test(message)) return 'connectionRefused';
+	if (/certificate|CERT_|TLS|SSL/i.test(message)) return 'tlsError';
+	if (/ETIMEDOUT|timed? ?out/i.test(message)) return 'timeout';
+	if (/wisp|websocket/i.test(message)) return 'wispDisconnected';
+	return fallback;
+}
+
+/**
+ * @param {string} kind
+ * @param {string} [url] The address the user was trying to reach.
+ * @param {unknown} [details] Shown behind the page's technical details toggle.
+ * @returns {string}
+ */
+function errorPageUrl(kind, url, details) {
+	const params = new URLSearchParams();
+	if (url) params.set('u', url);
+	if (details) params.set('details', String(details));
+	const query = params.toString();
+	return `/error/${kind}${query ? `?${query}` : ''}`;
+}
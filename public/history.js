@@ -0,0 +1,376 @@
+"use strict";
+
+// Browsing history across all tabs, kept after tabs close: one entry per page
+// with its latest title, how many times it was visited and when. Entries live
+// in IndexedDB and in memory for the omnibox; the history view groups visits
+// by day. Each profile has its own store (see profiles.js). TabManager.history
+// is still each tab's back/forward stack.
+const HISTORY_ENABLED_KEY = 'novanet_history_enabled';
+const HISTORY_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+// Visit times kept per page for the day view and range deletion; visitCount keeps counting
+const HISTORY_MAX_VISITS = 50;
+const HISTORY_VIEW_LIMIT = 300;
+
+// Ranges offered by "Delete range", newest first
+const HISTORY_RANGES = [
+	{ label: 'Last hour', ms: 60 * 60 * 1000 },
+	{ label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+	{ label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+	{ label: 'Last 4 weeks', ms: 28 * 24 * 60 * 60 * 1000 },
+	{ label: 'All time', ms: Infinity },
+];
+
+// www.example.com and example.com are the same site
+function historySite(url) {
+	try {
+		return new URL(url).hostname.replace(/^www\./, '');
+	} catch (_) {
+		return '';
+	}
+}
+
+// Whether pages are saved at all; one setting for every profile
+let historySaving = true;
+try {
+	historySaving = localStorage.getItem(HISTORY_ENABLED_KEY) !== '0';
+} catch (_) {}
+
+function startOfDay(time) {
+	const date = new Date(time);
+	date.setHours(0, 0, 0, 0);
+	return date.getTime();
+}
+
+class HistoryStore {
+	/**
+	 * @param {{ db?: NovaDB | null }} [options] Database holding the `history` store;
+	 *   without one (private tabs) entries are kept in memory only.
+	 */
+	constructor({ db = novaDB } = {}) {
+		this.db = db;
+		this.persistent = Boolean(db);
+		this.entries = new Map();
+		this.listeners = [];
+		// Last page recorded per tab, so polling and postMessage reports of one navigation count once
+		this.lastByTab = new Map();
+		this.ready = this.load();
+	}
+
+	get enabled() {
+		return historySaving;
+	}
+
+	setEnabled(enabled) {
+		historySaving = enabled;
+		this.lastByTab.clear();
+		try { localStorage.setItem(HISTORY_ENABLED_KEY, enabled ? '1' : '0'); } catch (_) {}
+	}
+
+	// Load saved entries, dropping visits older than HISTORY_MAX_AGE_MS
+	async load() {
+		if (!this.persistent) return;
+		try {
+			const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+			const expired = [];
+			for (const entry of await this.db.getAll('history')) {
+				if (entry.lastVisit < cutoff) {
+					expired.push(entry.url);
+					continue;
+				}
+				entry.visits = entry.visits.filter(time => time >= cutoff);
+				this.entries.set(entry.url, entry);
+			}
+			await Promise.all(expired.map(url => this.db.delete('history', url)));
+		} catch (error) {
+			console.warn('Failed to load history:', error);
+		}
+		this.changed();
+	}
+
+	// Call fn after every change
+	subscribe(fn) {
+		this.listeners.push(fn);
+	}
+
+	changed() {
+		for (const fn of this.listeners) fn();
+	}
+
+	list() {
+		return Array.from(this.entries.values());
+	}
+
+	/**
+	 * Record a page shown in a tab. Reporting the page the tab already shows only
+	 * updates its title, so a page counts once however often it is reported.
+	 * @param {string} tabId
+	 * @param {string} url
+	 * @param {string} [title]
+	 */
+	async record(tabId, url, title) {
+		if (!this.enabled || !/^https?:\/\//.test(url)) return;
+		// Error pages and other NovaNet pages are not visits
+		if (url.startsWith(`${location.origin}/`)) return;
+		if (title === 'Loading...') title = '';
+
+		const now = Date.now();
+		let entry = this.entries.get(url);
+		// A page deleted from history while open counts again
+		const newVisit = !entry || this.lastByTab.get(tabId) !== url;
+		if (!newVisit && (!title || title === entry.title)) return;
+		if (!entry) {
+			entry = { url, title: '', visitCount: 0, lastVisit: now, visits: [] };
+			this.entries.set(url, entry);
+		}
+
+		this.lastByTab.set(tabId, url);
+		if (title) entry.title = title;
+		if (newVisit) {
+			entry.visitCount++;
+			entry.lastVisit = now;
+			entry.visits.push(now);
+			if (entry.visits.length > HISTORY_MAX_VISITS) entry.visits.splice(0, entry.visits.length - HISTORY_MAX_VISITS);
+		}
+		try {
+			await this.write([entry]);
+		} catch (error) {
+			console.warn('Failed to save history:', error);
+		}
+		this.changed();
+	}
+
+	async write(entries) {
+		if (this.persistent) await Promise.all(entries.map(entry => this.db.put('history', entry)));
+	}
+
+	async erase(urls) {
+		if (this.persistent) await Promise.all(urls.map(url => this.db.delete('history', url)));
+	}
+
+	forgetTab(tabId) {
+		this.lastByTab.delete(tabId);
+	}
+
+	search(query) {
+		const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+		return this.list().filter(entry => {
+			const haystack = `${entry.title} ${entry.url}`.toLowerCase();
+			return words.every(word => haystack.includes(word));
+		});
+	}
+
+	/**
+	 * Visits grouped by day, newest first, one row per page per day.
+	 * @param {string} [query] Only pages whose title or URL contain every word.
+	 * @returns {{ day: number, visits: { entry: object, time: number }[] }[]}
+	 */
+	byDay(query = '') {
+		const rows = [];
+		for (const entry of query ? this.search(query) : this.list()) {
+			const latestByDay = new Map();
+			for (const time of entry.visits) {
+				const day = startOfDay(time);
+				latestByDay.set(day, Math.max(latestByDay.get(day) || 0, time));
+			}
+			for (const [day, time] of latestByDay) rows.push({ day, entry, time });
+		}
+		rows.sort((a, b) => b.time - a.time);
+
+		const days = [];
+		for (const { day, entry, time } of rows.slice(0, HISTORY_VIEW_LIMIT)) {
+			if (days.at(-1)?.day !== day) days.push({ day, visits: [] });
+			days.at(-1).visits.push({ entry, time });
+		}
+		return days;
+	}
+
+	async removeUrls(urls) {
+		for (const url of urls) this.entries.delete(url);
+		await this.erase(urls);
+		this.changed();
+	}
+
+	async removePage(url) {
+		await this.removeUrls([url]);
+	}
+
+	/**
+	 * Forget every page of a site, subdomains included.
+	 * @param {string} site A hostname, as returned by historySite().
+	 * @returns {Promise<number>} How many pages were removed.
+	 */
+	async removeSite(site) {
+		const urls = this.list()
+			.filter(entry => {
+				const host = historySite(entry.url);
+				return host === site || host.endsWith(`.${site}`);
+			})
+			.map(entry => entry.url);
+		await this.removeUrls(urls);
+		return urls.length;
+	}
+
+	/**
+	 * Forget the visits between two times; pages left without visits are removed.
+	 * @param {number} from
+	 * @param {number} [to]
+	 */
+	async removeRange(from, to = Date.now()) {
+		const removed = [];
+		const updated = [];
+		for (const entry of this.list()) {
+			const kept = entry.visits.filter(time => time < from || time > to);
+			if (kept.length === entry.visits.length) continue;
+			if (!kept.length) {
+				removed.push(entry.url);
+				continue;
+			}
+			entry.visitCount = Math.max(kept.length, entry.visitCount - (entry.visits.length - kept.length));
+			entry.visits = kept;
+			entry.lastVisit = kept[kept.length - 1];
+			updated.push(entry);
+		}
+		for (const url of removed) this.entries.delete(url);
+		await Promise.all([this.erase(removed), this.write(updated)]);
+		this.changed();
+	}
+
+	async clear() {
+		this.entries.clear();
+		this.lastByTab.clear();
+		if (this.persistent) await this.db.clear('history');
+		this.changed();
+	}
+}
+
+// History of the default profile
+const historyStore = new HistoryStore();
+
+// History view: visits grouped by day, with search, per-page and per-site
+// deletion and deletion of a time range. It shows the current tab's profile.
+
+let viewedHistory = historyStore;
+
+function historyDayLabel(day) {
+	const today = startOfDay(Date.now());
+	if (day === today) return 'Today';
+	// Noon yesterday is yesterday whatever the DST change
+	if (day === startOfDay(today - 12 * 60 * 60 * 1000)) return 'Yesterday';
+	return new Date(day).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+function openHistoryView() {
+	const profile = profileForTab(tabManager.currentTabId);
+	viewedHistory = profile.history;
+	document.getElementById('history-title').textContent = profile.id === DEFAULT_PROFILE_ID ? 'History' : `History: ${profile.name}`;
+	document.getElementById('history-search').value = '';
+	document.getElementById('history-modal').style.display = 'flex';
+	renderHistoryView();
+}
+
+function closeHistoryView() {
+	document.getElementById('history-modal').style.display = 'none';
+}
+
+function renderHistoryView() {
+	if (document.getElementById('history-modal')?.style.display !== 'flex') return;
+	const list = document.getElementById('history-list');
+	const query = document.getElementById('history-search').value.trim();
+	const days = viewedHistory.byDay(query);
+	list.replaceChildren();
+
+	for (const { day, visits } of days) {
+		const heading = document.createElement('h4');
+		heading.className = 'history-day';
+		heading.textContent = historyDayLabel(day);
+		list.appendChild(heading);
+		for (const { entry, time } of visits) list.appendChild(historyRow(entry, time));
+	}
+
+	if (!days.length) {
+		const empty = document.createElement('div');
+		empty.className = 'history-empty';
+		empty.textContent = query ? 'No pages match.' : 'No history yet.';
+		list.appendChild(empty);
+	}
+	if (!viewedHistory.enabled) {
+		const notice = document.createElement('div');
+		notice.className = 'history-empty';
+		notice.textContent = 'History is turned off in Settings; new pages are not being saved.';
+		list.prepend(notice);
+	}
+}
+
+function historyRow(entry, time) {
+	const row = document.createElement('div');
+	row.className = 'history-row';
+
+	const when = document.createElement('span');
+	when.className = 'history-time';
+	when.textContent = new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+	const info = document.createElement('button');
+	info.type = 'button';
+	info.className = 'history-info';
+	info.title = entry.url;
+	const title = document.createElement('span');
+	title.className = 'history-title';
+	title.textContent = entry.title || entry.url;
+	const detail = document.createElement('span');
+	detail.className = 'history-detail';
+	detail.textContent = `${historySite(entry.url)} · ${entry.visitCount} visit${entry.visitCount === 1 ? '' : 's'}`;
+	info.append(title, detail);
+	info.addEventListener('click', () => {
+		closeHistoryView();
+		navigateTo(entry.url);
+	});
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.className = 'btn btn-secondary';
+	remove.textContent = 'Delete';
+	remove.title = 'Remove this page from history';
+	remove.addEventListener('click', () => viewedHistory.removePage(entry.url));
+
+	const site = historySite(entry.url);
+	const removeSite = document.createElement('button');
+	removeSite.type = 'button';
+	removeSite.className = 'btn btn-danger';
+	removeSite.textContent = 'Delete site';
+	removeSite.title = `Remove every page of ${site} from history`;
+	removeSite.addEventListener('click', () => {
+		if (confirm(`Remove every page of ${site} from history?`)) viewedHistory.removeSite(site);
+	});
+
+	row.append(when, info, remove, removeSite);
+	return row;
+}
+
+async function deleteHistoryRange() {
+	const range = HISTORY_RANGES[Number(document.getElementById('history-range').value)];
+	if (!range || !confirm(`Delete history from ${range.label.toLowerCase()}?`)) return;
+	if (range.ms === Infinity) {
+		await viewedHistory.clear();
+	} else {
+		await viewedHistory.removeRange(Date.now() - range.ms);
+	}
+}
+
+function renderHistorySettings() {
+	document.getElementById('history-enabled').checked = historyStore.enabled;
+}
+
+function toggleHistoryEnabled(checkbox) {
+	historyStore.setEnabled(checkbox.checked);
+	if (!checkbox.checked && confirm('History is off. Also delete the history every profile saved so far?')) {
+		for (const profile of profileManager.list()) profile.history.clear();
+	}
+}
+
+// Stores of other profiles subscribe when they are created
+historyStore.subscribe(renderHistoryView);
+
+document.addEventListener('DOMContentLoaded', () => {
+	const select = document.getElementById('history-range');
+	select.replaceChildren(...HISTORY_RANGES.map((range, index) => new Option(range.label, String(index))));
+});
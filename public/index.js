@@ -142,307 +142,303 @@ function maybeShowAdOnInteraction() {
 	openAdModal();
 }
 
-// Cookie Management System
-class CookieManager {
-	constructor() {
-		this.cookieStore = new Map();
-		this.loadCookies();
-	}
+// DOM elements
+const form = document.getElementById("nn-form");
+const address = document.getElementById("nn-address");
+const error = document.getElementById("nn-error");
+const errorCode = document.getElementById("nn-error-code");
+const errorContainer = document.getElementById("nn-error-container");
 
-	// Load cookies from localStorage
-	loadCookies() {
-		try {
-			const stored = localStorage.getItem('novanet_cookies');
-			if (stored) {
-				const parsed = JSON.parse(stored);
-				this.cookieStore = new Map(Object.entries(parsed));
-			}
-		} catch (error) {
-			console.warn('Failed to load cookies:', error);
-		}
-	}
+// Initialize Scramjet
+const { ScramjetController } = $scramjetLoadController();
 
-	// Save cookies to localStorage
-	saveCookies() {
-		try {
-			// Clean up expired cookies first
-			this.cleanupExpiredCookies();
-			
-			const obj = Object.fromEntries(this.cookieStore);
-			const dataString = JSON.stringify(obj);
-			
-			// Check if data is too large (localStorage has ~5-10MB limit)
-			if (dataString.length > 4 * 1024 * 1024) { // 4MB limit
-				console.warn('Cookie data too large, trimming...');
-				this.trimCookiesToLimit(2 * 1024 * 1024); // Trim to 2MB
-				const trimmedObj = Object.fromEntries(this.cookieStore);
-				localStorage.setItem('novanet_cookies', JSON.stringify(trimmedObj));
-			} else {
-				localStorage.setItem('novanet_cookies', dataString);
-			}
-		} catch (error) {
-			console.warn('Failed to save cookies:', error);
-			// If quota exceeded, try to clear some cookies
-			if (error.name === 'QuotaExceededError') {
-				console.warn('Quota exceeded, clearing oldest cookies...');
-				this.clearOldestCookies();
-				try {
-					const obj = Object.fromEntries(this.cookieStore);
-					localStorage.setItem('novanet_cookies', JSON.stringify(obj));
-				} catch (retryError) {
-					console.warn('Failed to save cookies after cleanup:', retryError);
-				}
-			}
-		}
-	}
+const scramjet = new ScramjetController({
+	files: {
+		wasm: '/scram/scramjet.wasm.wasm',
+		all: '/scram/scramjet.all.js',
+		sync: '/scram/scramjet.sync.js',
+	},
+});
+
+scramjet.init();
 
-	// Set a cookie
-	setCookie(domain, name, value, options = {}) {
-		if (!this.cookieStore.has(domain)) {
-			this.cookieStore.set(domain, new Map());
+const connection = new BareMux.BareMuxConnection("/baremux/worker.js");
+
+// Transport. The server lists the bare-mux transports it serves at
+// /transports; the one picked in Settings and its options are kept in
+// localStorage and swapped into the running BareMuxConnection, so open tabs
+// keep working. Wisp transports use the fastest of the server's Wisp backends
+// unless a Wisp URL is set; when the transport fails (a backend or the server
+// restarting and closing its connections) the backends are probed again and
+// a fresh transport is installed, on another backend if the old one is gone.
+const TRANSPORT_SETTINGS_KEY = 'novanet_transport';
+const DEFAULT_TRANSPORTS = {
+	default: 'epoxy',
+	wispServers: ['/wisp/'],
+	bareServer: null,
+	transports: {
+		epoxy: '/epoxy/index.mjs',
+		libcurl: '/libcurl/index.mjs',
+		bare: '/baremod/index.mjs',
+	},
+};
+const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
+const RECONNECT_ATTEMPTS = 20;
+const HEALTH_CHECK_INTERVAL = 10000;
+const PROBE_TIMEOUT = 5000;
+
+let reconnecting = null;
+let serverDown = false;
+let serverTransports = null;
+// The transport installed last ({ name, path, args }), to tell whether settings changed
+let activeTransport = null;
+// The Wisp backend in use ({ url, latency }), picked by selectWispBackend()
+let wispBackend = null;
+let selectingBackend = null;
+
+function loadTransportSettings() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(TRANSPORT_SETTINGS_KEY));
+		if (stored && typeof stored === 'object') {
+			return { name: stored.name || null, options: stored.options || {} };
 		}
-		
-		const domainCookies = this.cookieStore.get(domain);
-		
-		// Ensure domainCookies is a Map
-		if (!(domainCookies instanceof Map)) {
-			this.cookieStore.set(domain, new Map());
-			const newDomainCookies = this.cookieStore.get(domain);
-			newDomainCookies.set(name, {
-				value: value,
-				domain: domain,
-				path: options.path || '/',
-				expires: options.expires,
-				secure: options.secure || false,
-				httpOnly: options.httpOnly || false,
-				sameSite: options.sameSite || 'Lax'
-			});
-		} else {
-			domainCookies.set(name, {
-				value: value,
-				domain: domain,
-				path: options.path || '/',
-				expires: options.expires,
-				secure: options.secure || false,
-				httpOnly: options.httpOnly || false,
-				sameSite: options.sameSite || 'Lax'
+	} catch (_) {}
+	return { name: null, options: {} };
+}
+
+let transportSettings = loadTransportSettings();
+
+function saveTransportSettings() {
+	try {
+		localStorage.setItem(TRANSPORT_SETTINGS_KEY, JSON.stringify(transportSettings));
+	} catch (_) {}
+}
+
+async function getServerTransports() {
+	if (!serverTransports) {
+		serverTransports = fetch('/transports', { cache: 'no-store' })
+			.then(response => (response.ok ? response.json() : DEFAULT_TRANSPORTS))
+			.catch(() => {
+				// Retry next time instead of sticking to the built-in list
+				serverTransports = null;
+				return DEFAULT_TRANSPORTS;
 			});
-		}
-		
-		this.saveCookies();
 	}
+	return serverTransports;
+}
 
-	// Get a cookie
-	getCookie(domain, name) {
-		const domainCookies = this.cookieStore.get(domain);
-		if (!domainCookies || !(domainCookies instanceof Map)) return null;
-		
-		const cookie = domainCookies.get(name);
-		if (!cookie) return null;
-		
-		// Check if cookie has expired
-		if (cookie.expires && new Date() > new Date(cookie.expires)) {
-			domainCookies.delete(name);
-			this.saveCookies();
-			return null;
-		}
-		
-		return cookie.value;
-	}
+// Backends are ws(s):// URLs or paths on this host
+function toWispUrl(server) {
+	if (!server.startsWith('/')) return server;
+	return (location.protocol === 'https:' ? 'wss' : 'ws') + '://' + location.host + server;
+}
 
-	// Get all cookies for a domain
-	getCookiesForDomain(domain) {
-		const domainCookies = this.cookieStore.get(domain);
-		if (!domainCookies) return {};
-		
-		// Ensure domainCookies is a Map
-		if (!(domainCookies instanceof Map)) {
-			console.warn('Domain cookies is not a Map, recreating:', domain);
-			this.cookieStore.set(domain, new Map());
-			return {};
-		}
-		
-		const cookies = {};
+// The transport picked in Settings (or the server's default) and its saved options
+function transportChoice(info) {
+	const name = info.transports[transportSettings.name] ? transportSettings.name : info.default;
+	return { name, options: transportSettings.options[name] || {} };
+}
+
+// Whether the transport picks its Wisp backend from the server's list
+async function usesWispBackends() {
+	const { name, options } = transportChoice(await getServerTransports());
+	return name !== 'bare' && !options.wisp;
+}
+
+// Time a WebSocket handshake with a Wisp backend; null if it fails or takes too long
+function probeWispBackend(url) {
+	return new Promise(resolve => {
+		const started = performance.now();
+		let socket;
 		try {
-			for (const [name, cookie] of domainCookies) {
-				// Check if cookie has expired
-				if (cookie.expires && new Date() > new Date(cookie.expires)) {
-					domainCookies.delete(name);
-					continue;
-				}
-				cookies[name] = cookie.value;
-			}
-		} catch (error) {
-			console.warn('Error iterating cookies for domain:', domain, error);
-			return {};
+			socket = new WebSocket(url);
+		} catch (_) {
+			resolve(null);
+			return;
 		}
-		
-		this.saveCookies();
-		return cookies;
-	}
+		const finish = (latency) => {
+			clearTimeout(timer);
+			socket.onopen = socket.onerror = socket.onclose = null;
+			socket.close();
+			resolve(latency);
+		};
+		const timer = setTimeout(() => finish(null), PROBE_TIMEOUT);
+		socket.onopen = () => finish(Math.round(performance.now() - started));
+		socket.onerror = socket.onclose = () => finish(null);
+	});
+}
 
-	// Delete a cookie
-	deleteCookie(domain, name) {
-		const domainCookies = this.cookieStore.get(domain);
-		if (domainCookies && domainCookies instanceof Map) {
-			domainCookies.delete(name);
-			this.saveCookies();
-		}
+// Probe every backend and use the fastest. `failed` is only picked when nothing else answers.
+// Concurrent callers share one probe.
+function selectWispBackend(failed = null) {
+	if (!selectingBackend) {
+		selectingBackend = (async () => {
+			updateBackendIndicator('probing');
+			const info = await getServerTransports();
+			const results = await Promise.all(info.wispServers.map(async (server) => {
+				const url = toWispUrl(server);
+				return { url, latency: await probeWispBackend(url) };
+			}));
+			const reachable = results
+				.filter(result => result.latency !== null)
+				.sort((a, b) => (a.url === failed) - (b.url === failed) || a.latency - b.latency);
+			wispBackend = reachable[0] || null;
+			return wispBackend;
+		})().finally(() => {
+			selectingBackend = null;
+			updateBackendIndicator();
+		});
 	}
+	return selectingBackend;
+}
 
-	// Clear all cookies
-	clearAllCookies() {
-		this.cookieStore.clear();
-		this.saveCookies();
-	}
-	
-	// Clean up expired cookies
-	cleanupExpiredCookies() {
-		for (const [domain, domainCookies] of this.cookieStore) {
-			if (domainCookies instanceof Map) {
-				for (const [name, cookie] of domainCookies) {
-					if (cookie.expires && new Date() > new Date(cookie.expires)) {
-						domainCookies.delete(name);
-					}
-				}
-			}
-		}
+// The module path and setTransport() arguments for the current settings
+async function resolveTransport() {
+	const info = await getServerTransports();
+	const { name, options } = transportChoice(info);
+
+	if (name === 'bare') {
+		const server = options.server || info.bareServer;
+		if (!server) throw new Error('The Bare transport needs a Bare server URL (Settings > Transport).');
+		return { name, path: info.transports.bare, args: [new URL(server, location.href).toString()] };
 	}
-	
-	// Trim cookies to fit within size limit
-	trimCookiesToLimit(maxSize) {
-		// Convert to array of [domain, cookies] pairs for sorting
-		const domainEntries = Array.from(this.cookieStore.entries());
-		
-		// Sort by domain name (keep most important domains)
-		domainEntries.sort((a, b) => {
-			const importantDomains = ['instagram.com', 'google.com', 'facebook.com', 'twitter.com'];
-			const aImportant = importantDomains.some(d => a[0].includes(d));
-			const bImportant = importantDomains.some(d => b[0].includes(d));
-			
-			if (aImportant && !bImportant) return -1;
-			if (!aImportant && bImportant) return 1;
-			return a[0].localeCompare(b[0]);
-		});
-		
-		// Remove domains until we're under the limit
-		let currentSize = 0;
-		const newCookieStore = new Map();
-		
-		for (const [domain, domainCookies] of domainEntries) {
-			const domainData = Array.from(domainCookies.entries());
-			const domainSize = JSON.stringify(domainData).length;
-			
-			if (currentSize + domainSize <= maxSize) {
-				newCookieStore.set(domain, domainCookies);
-				currentSize += domainSize;
-			}
-		}
-		
-		this.cookieStore = newCookieStore;
+	if (options.wisp) return { name, path: info.transports[name], args: [{ wisp: options.wisp }] };
+
+	const backend = wispBackend || (await selectWispBackend());
+	if (!backend) throw new Error('No Wisp backend is reachable.');
+	return { name, path: info.transports[name], args: [{ wisp: backend.url }] };
+}
+
+async function installTransport(transport) {
+	await connection.setTransport(transport.path, transport.args);
+	activeTransport = transport;
+	updateBackendIndicator();
+}
+
+async function ensureTransport() {
+	const transport = await resolveTransport();
+	if (JSON.stringify(activeTransport) !== JSON.stringify(transport) || (await connection.getTransport()) !== transport.path) {
+		await installTransport(transport);
 	}
-	
-	// Clear oldest cookies when quota is exceeded
-	clearOldestCookies() {
-		// Remove cookies from domains with the most cookies first
-		const domainEntries = Array.from(this.cookieStore.entries());
-		domainEntries.sort((a, b) => b[1].size - a[1].size);
-		
-		// Remove half of the cookies
-		const domainsToRemove = domainEntries.slice(0, Math.ceil(domainEntries.length / 2));
-		for (const [domain] of domainsToRemove) {
-			this.cookieStore.delete(domain);
-		}
+}
+
+// Fetch through the proxy transport, for reads the page's origin is not allowed to make itself
+async function proxyFetch(url, options) {
+	await ensureTransport();
+	return new BareMux.BareClient().fetch(url, options);
+}
+
+async function serverReady() {
+	try {
+		return (await fetch('/readyz', { cache: 'no-store' })).ok;
+	} catch (error) {
+		return false;
 	}
+}
 
-	// Get cookie string for requests
-	getCookieString(domain) {
-		try {
-			const cookies = this.getCookiesForDomain(domain);
-			if (!cookies || typeof cookies !== 'object') return '';
-			
-			return Object.entries(cookies)
-				.map(([name, value]) => `${name}=${value}`)
-				.join('; ');
-		} catch (error) {
-			console.warn('Error generating cookie string for domain:', domain, error);
-			return '';
-		}
+// Whether a transport can be installed now: some Wisp backend answers, or this server is ready
+async function transportReachable(failed) {
+	if (await usesWispBackends()) return Boolean(await selectWispBackend(failed));
+	return serverReady();
+}
+
+// Whether the transport in use still works. Backends on other hosts have no /readyz of ours to ask.
+async function transportHealthy() {
+	if (wispBackend && (await usesWispBackends()) && new URL(wispBackend.url).host !== location.host) {
+		return (await probeWispBackend(wispBackend.url)) !== null;
 	}
+	return serverReady();
+}
 
-	// Parse cookies from response headers
-	parseSetCookieHeaders(domain, setCookieHeaders) {
-		if (!setCookieHeaders) return;
-		
-		const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
-		
-		headers.forEach(header => {
-			const parts = header.split(';');
-			const [nameValue] = parts;
-			const [name, value] = nameValue.split('=');
-			
-			if (!name || !value) return;
-			
-			const options = {};
-			parts.slice(1).forEach(part => {
-				const [key, val] = part.trim().split('=');
-				const keyLower = key.toLowerCase();
-				
-				switch (keyLower) {
-					case 'domain':
-						options.domain = val;
-						break;
-					case 'path':
-						options.path = val;
-						break;
-					case 'expires':
-						options.expires = val;
-						break;
-					case 'max-age':
-						options.expires = new Date(Date.now() + parseInt(val) * 1000).toUTCString();
-						break;
-					case 'secure':
-						options.secure = true;
-						break;
-					case 'httponly':
-						options.httpOnly = true;
-						break;
-					case 'samesite':
-						options.sameSite = val;
-						break;
+// Wait with backoff until the transport can be installed, then replace it. With `failover`
+// the backend in use is assumed broken and another one is preferred. Concurrent callers share one attempt.
+function reconnectTransport(failover = false) {
+	if (!reconnecting) {
+		const failed = failover && wispBackend ? wispBackend.url : null;
+		reconnecting = (async () => {
+			for (let attempt = 0; attempt < RECONNECT_ATTEMPTS; attempt++) {
+				if (await transportReachable(failed)) {
+					await installTransport(await resolveTransport());
+					serverDown = false;
+					updateBackendIndicator();
+					return;
 				}
-			});
-			
-			this.setCookie(domain, name.trim(), value.trim(), options);
+				serverDown = true;
+				updateBackendIndicator();
+				await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]));
+			}
+			throw new Error('Server is not reachable');
+		})().finally(() => {
+			reconnecting = null;
 		});
 	}
+	return reconnecting;
 }
 
-// Initialize cookie manager
-const cookieManager = new CookieManager();
-
-// DOM elements
-const form = document.getElementById("nn-form");
-const address = document.getElementById("nn-address");
-const searchEngine = document.getElementById("nn-search-engine");
-const error = document.getElementById("nn-error");
-const errorCode = document.getElementById("nn-error-code");
-const errorContainer = document.getElementById("nn-error-container");
+// Notice restarts and dead backends between navigations so the transport is fresh before it is needed
+setInterval(async () => {
+	if (document.hidden || reconnecting) return;
+	if (!(await transportHealthy())) {
+		serverDown = true;
+		reconnectTransport(true).catch(error => console.warn('Reconnect failed:', error));
+	}
+}, HEALTH_CHECK_INTERVAL);
+window.addEventListener('online', () => {
+	reconnectTransport().catch(error => console.warn('Reconnect failed:', error));
+});
+// The service worker reports navigations that failed because the transport dropped
+if (navigator.serviceWorker) {
+	navigator.serviceWorker.addEventListener('message', (event) => {
+		if (event.data?.type !== 'novanet-transport-error') return;
+		reconnectTransport(true).catch(error => console.warn('Reconnect failed:', error));
+	});
+}
 
-// Initialize Scramjet
-const { ScramjetController } = $scramjetLoadController();
+// Backend indicator next to the address bar: which backend carries the traffic and how fast it answered
+function updateBackendIndicator(state) {
+	const indicator = document.getElementById('backend-indicator');
+	const text = document.getElementById('backend-text');
+	if (!indicator || !text) return;
 
-const scramjet = new ScramjetController({
-	files: {
-		wasm: '/scram/scramjet.wasm.wasm',
-		all: '/scram/scramjet.all.js',
-		sync: '/scram/scramjet.sync.js',
-	},
-});
+	let label;
+	let title;
+	if (state === 'probing') {
+		label = 'Probing...';
+		title = 'Measuring latency to the Wisp backends';
+	} else if (serverDown || !activeTransport) {
+		state = serverDown ? 'down' : 'probing';
+		label = serverDown ? 'Offline' : 'Connecting...';
+		title = serverDown ? 'No backend is reachable; retrying' : 'Connecting to a backend';
+	} else {
+		state = 'ok';
+		const url = activeTransport.name === 'bare' ? activeTransport.args[0] : activeTransport.args[0].wisp;
+		const host = new URL(url).host;
+		const latency = wispBackend && wispBackend.url === url ? ` · ${wispBackend.latency} ms` : '';
+		label = activeTransport.name === 'bare' ? `Bare · ${host}` : `${host}${latency}`;
+		title = `${activeTransport.name} via ${url}. Click to measure the backends again.`;
+	}
+	indicator.dataset.state = state;
+	indicator.title = title;
+	text.textContent = label;
+}
 
-scramjet.init();
+// Click on the indicator: probe again and move to the fastest backend
+async function reprobeWispBackends() {
+	try {
+		if (!(await usesWispBackends())) return;
+		if (!(await selectWispBackend())) {
+			serverDown = true;
+			reconnectTransport().catch(error => console.warn('Reconnect failed:', error));
+			return;
+		}
+		await ensureTransport();
+	} catch (error) {
+		console.warn('Could not switch backend:', error);
+	}
+}
 
-const connection = new BareMux.BareMuxConnection("/baremux/worker.js");
+// Pick a backend on startup so the first navigation does not wait for the probe
+usesWispBackends().then(uses => uses && selectWispBackend()).catch(() => {});
 
 // Global error suppression - run immediately
 (function() {
@@ -542,9 +538,10 @@ class TabManager {
 		this.currentHistoryIndex = new Map();
 	}
 
-	createTab(url = null, title = 'New Tab') {
+	createTab(url = null, title = 'New Tab', options = {}) {
 		const tabId = `tab-${this.tabCounter++}`;
 		const tabElement = this.createTabElement(tabId, title);
+		const profileId = options.profileId || newTabProfileId();
 		
 		// Add tab to DOM
 		const tabsContainer = document.querySelector('.tabs-container');
@@ -552,7 +549,7 @@ class TabManager {
 		tabsContainer.insertBefore(tabElement, newTabBtn);
 		
 		// Create tab content
-		const tabContent = this.createTabContent(tabId, url);
+		const tabContent = this.createTabContent(tabId, url, profileId === PRIVATE_PROFILE_ID);
 		document.querySelector('.main-content').appendChild(tabContent);
 		
 		// Initialize history for this tab
@@ -565,11 +562,15 @@ class TabManager {
 			content: tabContent,
 			title: title,
 			url: url,
-			loading: false
+			loading: false,
+			profileId
 		});
+		// Tabs of other profiles are marked in the tab strip
+		applyTabProfile(tabId);
 		
 		// Switch to new tab
 		this.switchToTab(tabId);
+		sessionManager.scheduleSave();
 		
 		return tabId;
 	}
@@ -593,7 +594,7 @@ class TabManager {
 		return tab;
 	}
 
-	createTabContent(tabId, url) {
+	createTabContent(tabId, url, isPrivate = false) {
 		const content = document.createElement('div');
 		content.id = `tab-${tabId}`;
 		content.className = 'tab-panel';
@@ -611,6 +612,7 @@ class TabManager {
 				height: 100%;
 				background: var(--background);
 			`;
+			if (isPrivate) isolatePrivateFrame(iframe);
 			content.appendChild(iframe);
 		} else {
 			// Create welcome screen for new tabs
@@ -627,6 +629,12 @@ class TabManager {
 					</div>
 				</div>
 			`;
+			if (isPrivate) {
+				const notice = document.createElement('p');
+				notice.className = 'private-notice';
+				notice.textContent = 'This is a private tab. Its cookies, site data and history are forgotten when you close the last private tab.';
+				content.querySelector('.description').appendChild(notice);
+			}
 		}
 		
 		return content;
@@ -648,6 +656,7 @@ class TabManager {
 			tabElement.classList.add('active');
 			tabContent.classList.add('active');
 			this.currentTabId = tabId;
+			sessionManager.scheduleSave();
 			
 			// Update address bar with current URL
 			const tab = this.tabs.get(tabId);
@@ -656,6 +665,18 @@ class TabManager {
 			} else {
 				address.value = '';
 			}
+			updateBookmarkStar();
+			renderProfileSelect();
+			if (!sessionManager.restoring) {
+				activateTabProfile(tabId).catch(error => console.warn('Failed to switch profile:', error));
+			}
+			
+			// Restored tabs load lazily the first time they are shown
+			if (tab && tab.pendingUrl) {
+				const pendingUrl = tab.pendingUrl;
+				delete tab.pendingUrl;
+				navigateToUrl(pendingUrl, tabId, { skipHistory: true });
+			}
 			
 			// Try to get the current URL from the iframe if available
 			try {
@@ -686,7 +707,18 @@ class TabManager {
 		}
 	}
 
-	closeTab(event, tabId) {
+	// Unload a tab's page; it loads again the next time the tab is shown
+	suspendTab(tabId) {
+		const tab = this.tabs.get(tabId);
+		const iframe = document.getElementById(`nn-frame-${tabId}`);
+		if (!tab || !iframe) return;
+		iframe.remove();
+		tab.loading = false;
+		if (tab.url) tab.pendingUrl = tab.url;
+	}
+
+	// `remember: false` leaves the tab off the reopen stack
+	closeTab(event, tabId, { remember = true } = {}) {
 		event.stopPropagation();
 		
 		if (this.tabs.size <= 1) {
@@ -695,6 +727,10 @@ class TabManager {
 		
 		const tab = this.tabs.get(tabId);
 		if (tab) {
+			const profile = profileForTab(tabId);
+			// Keep it on the reopen stack (Alt+Shift+T)
+			if (remember) sessionManager.rememberClosedTab(tabId);
+			
 			// Remove from DOM
 			tab.element.remove();
 			tab.content.remove();
@@ -703,12 +739,15 @@ class TabManager {
 			this.tabs.delete(tabId);
 			this.history.delete(tabId);
 			this.currentHistoryIndex.delete(tabId);
+			profile.history.forgetTab(tabId);
+			if (profile.id === PRIVATE_PROFILE_ID) profileManager.privateTabClosed();
 			
 			// Switch to another tab if this was active
 			if (this.currentTabId === tabId) {
 				const remainingTabs = Array.from(this.tabs.keys());
 				this.switchToTab(remainingTabs[0]);
 			}
+			sessionManager.scheduleSave();
 		}
 	}
 
@@ -720,6 +759,7 @@ class TabManager {
 			if (titleElement) {
 				titleElement.textContent = title;
 			}
+			sessionManager.scheduleSave();
 		}
 	}
 
@@ -727,6 +767,8 @@ class TabManager {
 		const tab = this.tabs.get(tabId);
 		if (tab) {
 			tab.url = url;
+			if (tabId === this.currentTabId) updateBookmarkStar();
+			sessionManager.scheduleSave();
 		}
 	}
 
@@ -745,6 +787,7 @@ class TabManager {
 		// Add new URL
 		history.push(url);
 		this.currentHistoryIndex.set(tabId, history.length - 1);
+		sessionManager.scheduleSave();
 	}
 }
 
@@ -760,7 +803,7 @@ function goBack() {
 		const newIndex = currentIndex - 1;
 		const url = history[newIndex];
 		tabManager.currentHistoryIndex.set(tabManager.currentTabId, newIndex);
-		navigateToUrl(url);
+		navigateToUrl(url, null, { skipHistory: true });
 	}
 }
 
@@ -772,7 +815,7 @@ function goForward() {
 		const newIndex = currentIndex + 1;
 		const url = history[newIndex];
 		tabManager.currentHistoryIndex.set(tabManager.currentTabId, newIndex);
-		navigateToUrl(url);
+		navigateToUrl(url, null, { skipHistory: true });
 	}
 }
 
@@ -801,6 +844,11 @@ function navigateTo(url) {
 	}
 }
 
+// Turn address bar input into a URL: keywords, then URLs, then the default search engine
+function toSearchUrl(input) {
+	return search(input, searchEngines.getDefault().template, searchEngines.list());
+}
+
 // Open the address bar URL in a new tab
 function openAddressInNewTab() {
     const url = address.value.trim();
@@ -814,7 +862,7 @@ function openAddressInNewTab() {
     } catch (_) {}
 
     try {
-        const searchUrl = search(url, searchEngine.value);
+        const searchUrl = toSearchUrl(url);
         const sjEncode = scramjet.encodeUrl.bind(scramjet);
         const targetUrl = sjEncode(searchUrl);
         const win = window.open(targetUrl, '_blank');
@@ -836,7 +884,34 @@ function openAddressInNewTab() {
     }
 }
 
-async function navigateToUrl(url, tabId = null) {
+// Ask the server whether its policy blocks a URL. Wisp and /ads/proxy enforce
+// the policy anyway; this only lets the tab show why instead of failing.
+async function checkPolicy(url) {
+	try {
+		const response = await fetch(`/policy/check?u=${encodeURIComponent(url)}`, { cache: 'no-store' });
+		if (!response.ok) return true;
+		return (await response.json()).allowed !== false;
+	} catch (_) {
+		return true;
+	}
+}
+
+// Load one of the server's error pages (src/error-pages.js) into a tab
+function showTabError(tabId, kind, url, details) {
+	const iframe = document.getElementById(`nn-frame-${tabId}`);
+	if (!iframe) {
+		showError('Could not load this page.', details ? String(details) : '');
+		return;
+	}
+	const tab = tabManager.tabs.get(tabId);
+	iframe.onload = () => {
+		tabManager.updateTabTitle(tabId, iframe.contentDocument?.title || 'Error');
+		if (tab) tab.loading = false;
+	};
+	iframe.src = errorPageUrl(kind, url, details);
+}
+
+async function navigateToUrl(url, tabId = null, options = {}) {
 	const targetTabId = tabId || tabManager.currentTabId;
 
 	try {
@@ -846,11 +921,14 @@ async function navigateToUrl(url, tabId = null) {
 		return;
 	}
 
-	const searchUrl = search(url, searchEngine.value);
+	await searchEngines.ready;
+	const searchUrl = toSearchUrl(url);
 	const domain = new URL(searchUrl).hostname;
 	
-	// Add to history
-	tabManager.addToHistory(targetTabId, url);
+	// Add to history (back/forward and session restore move within it instead)
+	if (!options.skipHistory) {
+		tabManager.addToHistory(targetTabId, url);
+	}
 	
 	// Update tab
 	tabManager.updateTabUrl(targetTabId, url);
@@ -861,6 +939,9 @@ async function navigateToUrl(url, tabId = null) {
 	if (tab) {
 		tab.loading = true;
 	}
+	const tabCookies = cookieManagerForTab(targetTabId);
+	await tabCookies.ready;
+	const tabHistory = historyStoreForTab(targetTabId);
 	
 	// Create iframe if it doesn't exist
 	let iframe = document.getElementById(`nn-frame-${targetTabId}`);
@@ -879,10 +960,32 @@ async function navigateToUrl(url, tabId = null) {
 				height: 100%;
 				background: var(--background);
 			`;
+			if (profileForTab(targetTabId).id === PRIVATE_PROFILE_ID) isolatePrivateFrame(iframe);
 			tabContent.appendChild(iframe);
 		}
 	}
 	
+	if (iframe && !(await checkPolicy(searchUrl))) {
+		showTabError(targetTabId, 'blocked', searchUrl);
+		return;
+	}
+	
+	// Only the shown tab's profile has its site data in place, so a background
+	// tab of another profile loads when it is shown
+	if (targetTabId !== tabManager.currentTabId && profileForTab(targetTabId).id !== profileManager.owner) {
+		tabManager.suspendTab(targetTabId);
+		tabManager.updateTabTitle(targetTabId, url);
+		return;
+	}
+	
+	// Give the page its profile's cookies and site data
+	try {
+		await profileManager.activate(profileForTab(targetTabId).id);
+	} catch (err) {
+		showError("Failed to switch to the tab's profile.", err.toString());
+		return;
+	}
+	
 	// Set up iframe load handler with cookie management and URL monitoring
 	iframe.onload = () => {
 		tabManager.updateTabTitle(targetTabId, iframe.contentDocument?.title || url);
@@ -893,7 +996,7 @@ async function navigateToUrl(url, tabId = null) {
 		
 		// Try to inject cookies into the iframe
 		try {
-			const cookies = cookieManager.getCookieString(domain);
+			const cookies = tabCookies.getCookieString(searchUrl, { http: false });
 			if (cookies && iframe.contentDocument) {
 				// Set cookies in the iframe's document
 				document.cookie = cookies;
@@ -1419,7 +1522,7 @@ async function navigateToUrl(url, tabId = null) {
 					}
 				}, 2000);
 			} else {
-				showError("Connection failed after multiple attempts. Please try again.", "");
+				showTabError(targetTabId, 'proxyError', searchUrl, 'The page failed to load after multiple attempts.');
 			}
 		};
 		
@@ -1443,7 +1546,7 @@ async function navigateToUrl(url, tabId = null) {
 					connectionRetries++;
 					iframe.src = iframe.src; // Reload the iframe
 				} else {
-					showError("Page took too long to load. Please try again.", "");
+					showTabError(targetTabId, 'timeout', searchUrl, 'The page did not finish loading within 30 seconds.');
 				}
 			}
 		}, 30000); // 30 second timeout
@@ -1504,6 +1607,7 @@ async function navigateToUrl(url, tabId = null) {
 				
 				// Add to history
 				tabManager.addToHistory(targetTabId, newUrl);
+				tabHistory.record(targetTabId, newUrl, newTitle);
 			}
 		}
 	});
@@ -1514,10 +1618,9 @@ async function navigateToUrl(url, tabId = null) {
 	
 	const establishConnection = async () => {
 		try {
-			let wispUrl = (location.protocol === "https:" ? "wss" : "ws") + "://" + location.host + "/wisp/";
-	if ((await connection.getTransport()) !== "/epoxy/index.mjs") {
-		await connection.setTransport("/epoxy/index.mjs", [{ wisp: wispUrl }]);
-	}
+			// Finish any reconnect in progress rather than loading through a dead connection
+			if (reconnecting || serverDown) await reconnectTransport();
+			await ensureTransport();
 			
 			// Enhanced connection settings for Instagram and social media
 			if (domain.includes('instagram.com')) {
@@ -1613,9 +1716,10 @@ async function navigateToUrl(url, tabId = null) {
 			console.error('Connection failed:', error);
 			if (connectionRetries < maxRetries) {
 				connectionRetries++;
-				setTimeout(establishConnection, 2000);
+				// Retries once a backend answers again, with a fresh transport
+				reconnectTransport(true).then(establishConnection, establishConnection);
 			} else {
-				showError("Connection failed. Please try again.", error.toString());
+				showTabError(targetTabId, errorPageKind(error, 'wispDisconnected'), searchUrl, error.toString());
 			}
 		}
 	};
@@ -1636,13 +1740,7 @@ async function navigateToUrl(url, tabId = null) {
 						// Cookies have changed, update our storage
 						const newCookies = iframeDoc.cookie;
 						if (newCookies) {
-							const cookiePairs = newCookies.split(';');
-							cookiePairs.forEach(pair => {
-								const [name, value] = pair.trim().split('=');
-								if (name && value) {
-									cookieManager.setCookie(domain, name, value);
-								}
-							});
+							tabCookies.syncDocumentCookies(searchUrl, newCookies);
 						}
 					}
 				};
@@ -1665,6 +1763,7 @@ async function navigateToUrl(url, tabId = null) {
 function setupUrlMonitoring(iframe, tabId, domain) {
 	let lastUrl = '';
 	let lastTitle = '';
+	const tabHistory = historyStoreForTab(tabId);
 	
 	// Function to update URL and title
 	const updateUrlAndTitle = () => {
@@ -1703,6 +1802,7 @@ function setupUrlMonitoring(iframe, tabId, domain) {
 			
 			// Only update if URL or title has changed
 			if (currentUrl !== lastUrl || currentTitle !== lastTitle) {
+				const urlChanged = currentUrl !== lastUrl;
 				lastUrl = currentUrl;
 				lastTitle = currentTitle;
 				
@@ -1716,9 +1816,10 @@ function setupUrlMonitoring(iframe, tabId, domain) {
 				}
 				
 				// Add to history if URL changed
-				if (currentUrl !== lastUrl) {
+				if (urlChanged) {
 					tabManager.addToHistory(tabId, currentUrl);
 				}
+				tabHistory.record(tabId, currentUrl, currentTitle);
 			}
 		} catch (error) {
 			// Cross-origin restrictions - this is expected for some sites
@@ -1765,6 +1866,17 @@ form.addEventListener("submit", async (event) => {
 	}
 });
 
+// Retry button on an error page: navigate its tab again
+window.addEventListener('message', (event) => {
+	if (event.origin !== location.origin || event.data?.type !== 'novanet-retry') return;
+	for (const [tabId, tab] of tabManager.tabs) {
+		const iframe = document.getElementById(`nn-frame-${tabId}`);
+		if (!iframe || iframe.contentWindow !== event.source) continue;
+		navigateToUrl(event.data.url || tab.url, tabId, { skipHistory: true });
+		return;
+	}
+});
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (event) => {
 	if (event.ctrlKey || event.metaKey) {
@@ -1783,6 +1895,42 @@ document.addEventListener('keydown', (event) => {
 				event.preventDefault();
 				refresh();
 				break;
+			case 'T':
+				// Ctrl+Shift+T, where the browser lets the page have it
+				event.preventDefault();
+				sessionManager.reopenClosedTab();
+				break;
+			case 'N':
+				// Ctrl+Shift+N, where the browser lets the page have it
+				event.preventDefault();
+				createPrivateTab();
+				break;
+			case 'd':
+				event.preventDefault();
+				toggleBookmarkForCurrentTab();
+				break;
+			case 'O':
+				// Ctrl+Shift+O
+				event.preventDefault();
+				openBookmarksManager();
+				break;
+			case 'h':
+				event.preventDefault();
+				openHistoryView();
+				break;
+		}
+	} else if (event.altKey && event.shiftKey) {
+		// Alt+Shift stand-ins for the Ctrl+Shift shortcuts most browsers keep
+		// for themselves; by key position, as Alt changes the typed character
+		switch (event.code) {
+			case 'KeyT':
+				event.preventDefault();
+				sessionManager.reopenClosedTab();
+				break;
+			case 'KeyN':
+				event.preventDefault();
+				createPrivateTab();
+				break;
 		}
 	}
 });
@@ -1796,13 +1944,214 @@ function toggleSettings() {
 		settingsPanel.style.display = 'none';
 	} else {
 		settingsPanel.style.display = 'block';
-		updateCookieCount();
+		cookieManagerForTab(tabManager.currentTabId).ready.then(updateCookieCount);
+		renderTransportSettings();
+		renderHistorySettings();
+		renderProfileSettings();
+		searchEngines.ready.then(renderSearchEngines);
+	}
+}
+
+async function renderTransportSettings() {
+	const info = await getServerTransports();
+	document.getElementById('transport-select').value = transportSettings.name || info.default;
+	document.getElementById('transport-status').textContent = '';
+	renderTransportOptions();
+}
+
+// Show the options of the transport picked in the select, filled with what is saved for it
+async function renderTransportOptions() {
+	const info = await getServerTransports();
+	const name = document.getElementById('transport-select').value;
+	const options = transportSettings.options[name] || {};
+	const isBare = name === 'bare';
+
+	document.getElementById('transport-wisp-field').style.display = isBare ? 'none' : '';
+	document.getElementById('transport-bare-field').style.display = isBare ? '' : 'none';
+	document.getElementById('transport-wisp').value = options.wisp || '';
+	document.getElementById('transport-wisp').placeholder =
+		info.wispServers.length > 1 ? 'Fastest of the server\'s backends' : toWispUrl(info.wispServers[0]);
+	document.getElementById('transport-bare').value = options.server || '';
+	document.getElementById('transport-bare').placeholder = info.bareServer || 'https://bare.example.com/';
+}
+
+async function applyTransportSettings() {
+	const status = document.getElementById('transport-status');
+	const name = document.getElementById('transport-select').value;
+	const wisp = document.getElementById('transport-wisp').value.trim();
+	const server = document.getElementById('transport-bare').value.trim();
+
+	try {
+		if (wisp && !/^wss?:$/.test(new URL(wisp).protocol)) throw new Error('The Wisp server must be a ws:// or wss:// URL.');
+		if (server && !/^https?:$/.test(new URL(server, location.href).protocol)) {
+			throw new Error('The Bare server must be an http:// or https:// URL.');
+		}
+	} catch (error) {
+		status.textContent = error instanceof TypeError ? 'That is not a valid URL.' : error.message;
+		return;
+	}
+
+	const previous = transportSettings;
+	transportSettings = {
+		name,
+		options: { ...previous.options, [name]: name === 'bare' ? { server } : { wisp } },
+	};
+	try {
+		await installTransport(await resolveTransport());
+		saveTransportSettings();
+		status.textContent = 'Transport applied.';
+	} catch (error) {
+		transportSettings = previous;
+		status.textContent = error.message;
+	}
+}
+
+// Search engine settings (see search-engines.js)
+let editingSearchEngineId = null;
+
+function setSearchEngineStatus(message) {
+	document.getElementById('search-engine-status').textContent = message;
+}
+
+function renderSearchEngines() {
+	const list = document.getElementById('search-engine-list');
+	const defaultId = searchEngines.getDefault().id;
+	list.replaceChildren();
+
+	for (const engine of searchEngines.list()) {
+		const row = document.createElement('div');
+		row.className = 'search-engine-item';
+
+		const pick = document.createElement('input');
+		pick.type = 'radio';
+		pick.name = 'search-engine-default';
+		pick.title = 'Use as the default search engine';
+		pick.checked = engine.id === defaultId;
+		pick.addEventListener('change', () => {
+			searchEngines.setDefault(engine.id);
+			setSearchEngineStatus(`${engine.name} is now the default.`);
+		});
+
+		const info = document.createElement('div');
+		info.className = 'search-engine-info';
+		const name = document.createElement('strong');
+		name.textContent = engine.name;
+		const template = document.createElement('span');
+		template.className = 'search-engine-template';
+		template.textContent = engine.template;
+		info.append(name, template);
+		if (engine.keyword) {
+			const keyword = document.createElement('code');
+			keyword.className = 'search-engine-keyword';
+			keyword.textContent = engine.keyword;
+			name.append(' ', keyword);
+		}
+
+		const edit = document.createElement('button');
+		edit.className = 'btn btn-secondary';
+		edit.textContent = 'Edit';
+		edit.addEventListener('click', () => editSearchEngine(engine.id));
+
+		const remove = document.createElement('button');
+		remove.className = 'btn btn-danger';
+		remove.textContent = 'Remove';
+		remove.addEventListener('click', () => removeSearchEngine(engine.id));
+
+		row.append(pick, info, edit, remove);
+		list.appendChild(row);
+	}
+}
+
+function fillSearchEngineForm({ name = '', template = '', keyword = '', suggestUrl = '' } = {}) {
+	document.getElementById('search-engine-name').value = name;
+	document.getElementById('search-engine-template').value = template;
+	document.getElementById('search-engine-keyword').value = keyword;
+	document.getElementById('search-engine-suggest').value = suggestUrl;
+}
+
+function resetSearchEngineForm() {
+	editingSearchEngineId = null;
+	fillSearchEngineForm();
+	document.getElementById('search-engine-submit').textContent = 'Add';
+	document.getElementById('search-engine-cancel').style.display = 'none';
+}
+
+function editSearchEngine(id) {
+	const engine = searchEngines.get(id);
+	if (!engine) return;
+	editingSearchEngineId = id;
+	fillSearchEngineForm(engine);
+	document.getElementById('search-engine-submit').textContent = 'Save';
+	document.getElementById('search-engine-cancel').style.display = '';
+	setSearchEngineStatus('');
+}
+
+async function submitSearchEngine(event) {
+	event.preventDefault();
+	const fields = {
+		name: document.getElementById('search-engine-name').value,
+		template: document.getElementById('search-engine-template').value,
+		keyword: document.getElementById('search-engine-keyword').value,
+		suggestUrl: document.getElementById('search-engine-suggest').value,
+	};
+	try {
+		const engine = editingSearchEngineId
+			? await searchEngines.update(editingSearchEngineId, fields)
+			: await searchEngines.add(fields);
+		setSearchEngineStatus(`${engine.name} saved.`);
+		resetSearchEngineForm();
+		renderSearchEngines();
+	} catch (error) {
+		setSearchEngineStatus(error.message);
+	}
+}
+
+async function removeSearchEngine(id) {
+	const engine = searchEngines.get(id);
+	if (!engine || !confirm(`Remove ${engine.name}?`)) return;
+	try {
+		await searchEngines.remove(id);
+		if (editingSearchEngineId === id) resetSearchEngineForm();
+		setSearchEngineStatus(`${engine.name} removed.`);
+		renderSearchEngines();
+	} catch (error) {
+		setSearchEngineStatus(error.message);
+	}
+}
+
+// Put an imported engine in the form so a keyword can be added before saving
+function reviewImportedSearchEngine(xml) {
+	resetSearchEngineForm();
+	fillSearchEngineForm(searchEngines.parseOpenSearch(xml));
+	setSearchEngineStatus('Imported. Add a keyword if you like, then press Add.');
+}
+
+async function importOpenSearchUrl() {
+	const url = document.getElementById('opensearch-url').value.trim();
+	if (!url) return;
+	setSearchEngineStatus('Importing...');
+	try {
+		const response = await proxyFetch(new URL(url).toString());
+		if (!response.ok) throw new Error(`The server answered ${response.status}.`);
+		reviewImportedSearchEngine(await response.text());
+	} catch (error) {
+		setSearchEngineStatus(error instanceof TypeError ? 'That is not a valid URL.' : error.message);
+	}
+}
+
+async function importOpenSearchFile(input) {
+	const file = input.files[0];
+	input.value = '';
+	if (!file) return;
+	try {
+		reviewImportedSearchEngine(await file.text());
+	} catch (error) {
+		setSearchEngineStatus(error.message);
 	}
 }
 
 function updateCookieCount() {
-	const totalCookies = Array.from(cookieManager.cookieStore.values())
-		.reduce((total, domainCookies) => total + domainCookies.size, 0);
+	const totalCookies = cookieManagerForTab(tabManager.currentTabId).list().length;
 	
 	const cookieCountElement = document.getElementById('cookie-count');
 	if (cookieCountElement) {
@@ -1817,10 +2166,14 @@ function viewCookies() {
 	// Clear existing content
 	cookieList.innerHTML = '';
 	
-	// Add cookies to the list
-	for (const [domain, domainCookies] of cookieManager.cookieStore) {
-		if (domainCookies.size === 0) continue;
-		
+	// Add cookies to the list, grouped by domain (list() is sorted by it)
+	const byDomain = new Map();
+	for (const cookie of cookieManagerForTab(tabManager.currentTabId).list()) {
+		const domain = cookie.hostOnly ? cookie.domain : `.${cookie.domain}`;
+		if (!byDomain.has(domain)) byDomain.set(domain, []);
+		byDomain.get(domain).push(cookie);
+	}
+	for (const [domain, domainCookies] of byDomain) {
 		const domainDiv = document.createElement('div');
 		domainDiv.className = 'cookie-item';
 		
@@ -1829,7 +2182,7 @@ function viewCookies() {
 		domainHeader.textContent = domain;
 		domainDiv.appendChild(domainHeader);
 		
-		for (const [name, cookie] of domainCookies) {
+		for (const cookie of domainCookies) {
 			const cookieDiv = document.createElement('div');
 			cookieDiv.style.marginBottom = '10px';
 			
@@ -1837,15 +2190,15 @@ function viewCookies() {
 			cookieName.style.fontWeight = '500';
 			cookieName.style.color = 'var(--text-primary)';
 			cookieName.style.marginBottom = '4px';
-			cookieName.textContent = name;
+			cookieName.textContent = cookie.name;
 			cookieDiv.appendChild(cookieName);
 			
 			const cookieDetails = document.createElement('div');
 			cookieDetails.className = 'cookie-details';
-			cookieDetails.textContent = `Path: ${cookie.path} | Secure: ${cookie.secure ? 'Yes' : 'No'}`;
-			if (cookie.expires) {
-				cookieDetails.textContent += ` | Expires: ${new Date(cookie.expires).toLocaleString()}`;
-			}
+			cookieDetails.textContent = `Path: ${cookie.path} | Secure: ${cookie.secure ? 'Yes' : 'No'} | HttpOnly: ${cookie.httpOnly ? 'Yes' : 'No'} | SameSite: ${cookie.sameSite}`;
+			cookieDetails.textContent += cookie.expires === null
+				? ' | Expires: end of session'
+				: ` | Expires: ${new Date(cookie.expires).toLocaleString()}`;
 			cookieDiv.appendChild(cookieDetails);
 			
 			const cookieValue = document.createElement('div');
@@ -1871,9 +2224,10 @@ function closeCookieModal() {
 	cookieModal.style.display = 'none';
 }
 
-function clearAllCookies() {
-	if (confirm('Are you sure you want to clear all cookies? This will log you out of all websites.')) {
-		cookieManager.clearAllCookies();
+async function clearAllCookies() {
+	const profile = profileForTab(tabManager.currentTabId);
+	if (confirm(`Are you sure you want to clear all cookies of the ${profile.name} profile? This will log you out of its websites.`)) {
+		await profile.cookies.clearAllCookies();
 		updateCookieCount();
 		alert('All cookies have been cleared.');
 	}
@@ -1887,13 +2241,19 @@ document.addEventListener('DOMContentLoaded', () => {
 		content: document.getElementById('tab-home'),
 		title: 'Home',
 		url: null,
-		loading: false
+		loading: false,
+		profileId: DEFAULT_PROFILE_ID
 	});
 	
 	// Initialize history for home tab
 	tabManager.history.set('home', []);
 	tabManager.currentHistoryIndex.set('home', -1);
 	
+	// Bring back the tabs from the previous visit
+	sessionManager.restore();
+	// Clear what private tabs or a deleted profile left in the shared site data
+	profileManager.recover();
+	
     // Update cookie count on load
     updateCookieCount();
 
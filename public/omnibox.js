@@ -0,0 +1,387 @@
+"use strict";
+
+// Omnibox: the dropdown under the address bar. Providers each turn the typed
+// text into suggestions (open tabs, pages visited, search suggestions); the
+// local ones are ranked together by frecency, remote ones are appended when
+// they answer. The best URL match is completed inline as the user types.
+// Other scripts add sources with omnibox.addProvider().
+const OMNIBOX_MAX_RESULTS = 8;
+const OMNIBOX_MAX_SEARCH_SUGGESTIONS = 4;
+const OMNIBOX_SUGGEST_DELAY_MS = 150;
+const OMNIBOX_SUGGEST_TIMEOUT_MS = 3000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visit-count weight by age of the last visit, like Firefox's frecency buckets
+const FRECENCY_BUCKETS = [
+	{ maxAge: 4 * DAY_MS, weight: 100 },
+	{ maxAge: 14 * DAY_MS, weight: 70 },
+	{ maxAge: 31 * DAY_MS, weight: 50 },
+	{ maxAge: 90 * DAY_MS, weight: 30 },
+];
+const FRECENCY_OLD_WEIGHT = 10;
+// For sources that know how often a page was seen but not when
+const FRECENCY_UNDATED_WEIGHT = 20;
+// A bookmark ranks like a page visited this many times
+const OMNIBOX_BOOKMARK_VISITS = 5;
+
+/**
+ * @param {{ visitCount?: number, lastVisit?: number }} entry
+ * @returns {number}
+ */
+function frecency({ visitCount = 1, lastVisit } = {}) {
+	if (!lastVisit) return visitCount * FRECENCY_UNDATED_WEIGHT;
+	const age = Date.now() - lastVisit;
+	const bucket = FRECENCY_BUCKETS.find(candidate => age <= candidate.maxAge);
+	return visitCount * (bucket ? bucket.weight : FRECENCY_OLD_WEIGHT);
+}
+
+// URL as people type it: no scheme, no www.
+function displayUrl(url) {
+	return url.replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+}
+
+// Every word of the query appears in the URL or the title
+function matchesQuery(query, ...fields) {
+	const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+	const haystack = fields.filter(Boolean).join(' ').toLowerCase();
+	return words.every(word => haystack.includes(word));
+}
+
+// Typed text that should be opened rather than searched
+function looksLikeUrl(text) {
+	return /^[a-z][a-z0-9+.-]*:\/\//i.test(text) || (!/\s/.test(text) && /^[^.]+(\.[^.]+)+/.test(text));
+}
+
+class Omnibox {
+	/**
+	 * @param {HTMLInputElement} input
+	 */
+	constructor(input) {
+		this.input = input;
+		this.providers = [];
+		this.results = [];
+		this.selected = -1;
+		// What the user typed, without inline completion or the selected row
+		this.typed = '';
+		this.sequence = 0;
+		this.suggestTimer = null;
+
+		this.dropdown = document.createElement('div');
+		this.dropdown.id = 'omnibox-dropdown';
+		this.dropdown.className = 'omnibox-dropdown';
+		this.dropdown.setAttribute('role', 'listbox');
+		this.dropdown.hidden = true;
+		input.insertAdjacentElement('afterend', this.dropdown);
+
+		input.setAttribute('role', 'combobox');
+		input.setAttribute('aria-autocomplete', 'both');
+		input.setAttribute('aria-controls', this.dropdown.id);
+		input.setAttribute('aria-expanded', 'false');
+
+		input.addEventListener('input', event => this.onInput(event));
+		input.addEventListener('keydown', event => this.onKeyDown(event));
+		input.addEventListener('blur', () => this.close());
+		input.addEventListener('focus', () => input.select());
+		// Keep focus in the input so the click lands on the row
+		this.dropdown.addEventListener('mousedown', event => event.preventDefault());
+	}
+
+	/**
+	 * Add a source of suggestions.
+	 * @param {object} provider
+	 * @param {string} provider.name
+	 * @param {(query: string) => Promise<object[]> | object[]} provider.suggest Suggestions shaped
+	 *   { type, title, url, visitCount?, lastVisit?, tabId?, text? }.
+	 * @param {boolean} [provider.remote] Slow source: shown after the others, in its own order.
+	 */
+	addProvider(provider) {
+		this.providers.push(provider);
+	}
+
+	removeProvider(name) {
+		this.providers = this.providers.filter(provider => provider.name !== name);
+	}
+
+	onInput(event) {
+		this.typed = this.input.value;
+		this.selected = -1;
+		// Only complete while typing forward, so backspace removes the completion
+		this.update(event.inputType?.startsWith('insert') && event.inputType !== 'insertReplacementText');
+	}
+
+	async update(complete) {
+		const query = this.typed.trim();
+		const sequence = ++this.sequence;
+		clearTimeout(this.suggestTimer);
+		if (!query) {
+			this.close();
+			return;
+		}
+
+		const local = this.providers.filter(provider => !provider.remote);
+		const lists = await Promise.all(local.map(provider => this.ask(provider, query)));
+		if (sequence !== this.sequence) return;
+		const ranked = this.rank(lists.flat());
+		this.results = [this.defaultRow(query), ...ranked].slice(0, OMNIBOX_MAX_RESULTS);
+		this.render();
+		if (complete) this.completeInline(ranked);
+
+		const remote = this.providers.filter(provider => provider.remote);
+		if (!remote.length) return;
+		this.suggestTimer = setTimeout(async () => {
+			const remoteLists = await Promise.all(remote.map(provider => this.ask(provider, query)));
+			// Do not move rows from under a keyboard selection
+			if (sequence !== this.sequence || this.selected !== -1) return;
+			const seen = new Set(this.results.map(result => result.text || result.url));
+			const extra = remoteLists.flat().filter(result => !seen.has(result.text || result.url));
+			if (!extra.length) return;
+			// Make room for a few remote rows by dropping the lowest ranked local ones
+			const keep = Math.max(1, Math.min(this.results.length, OMNIBOX_MAX_RESULTS - Math.min(extra.length, OMNIBOX_MAX_SEARCH_SUGGESTIONS)));
+			this.results = [...this.results.slice(0, keep), ...extra].slice(0, OMNIBOX_MAX_RESULTS);
+			this.render();
+		}, OMNIBOX_SUGGEST_DELAY_MS);
+	}
+
+	async ask(provider, query) {
+		try {
+			return (await provider.suggest(query)) || [];
+		} catch (error) {
+			console.warn(`Omnibox provider ${provider.name} failed:`, error);
+			return [];
+		}
+	}
+
+	// Merge duplicates (a page can be both open and visited) and sort by frecency, open tabs first
+	rank(suggestions) {
+		const byUrl = new Map();
+		for (const suggestion of suggestions) {
+			const key = suggestion.type === 'tab' ? `tab:${suggestion.tabId}` : suggestion.url;
+			const existing = byUrl.get(key);
+			if (!existing) {
+				byUrl.set(key, { ...suggestion, score: frecency(suggestion) });
+				continue;
+			}
+			existing.score += frecency(suggestion);
+			existing.title = existing.title || suggestion.title;
+		}
+		const typed = this.typed.trim().toLowerCase();
+		for (const suggestion of byUrl.values()) {
+			// Pages whose address starts with what was typed beat pages that merely contain it
+			if (displayUrl(suggestion.url).toLowerCase().startsWith(typed)) suggestion.score *= 2;
+			if (suggestion.type === 'tab') suggestion.score += 1e6;
+		}
+		return Array.from(byUrl.values()).sort((a, b) => b.score - a.score);
+	}
+
+	// First row: what Enter does with the typed text as it is
+	defaultRow(query) {
+		if (looksLikeUrl(query)) return { type: 'url', title: query, url: query, text: query };
+		const [, keyword, terms] = /^(\S+)\s+(\S.*)$/.exec(query) || [];
+		const engine = keyword && searchEngines.list().find(candidate => candidate.keyword === keyword.toLowerCase());
+		if (engine) return { type: 'search', title: terms, engine: engine.name, text: query };
+		return { type: 'search', title: query, engine: searchEngines.getDefault().name, text: query };
+	}
+
+	// Fill in the rest of the best matching address and select the filled part
+	completeInline(ranked) {
+		const typed = this.typed;
+		if (!typed || /\s/.test(typed)) return;
+		for (const suggestion of ranked) {
+			const address = displayUrl(suggestion.url);
+			if (!address.toLowerCase().startsWith(typed.toLowerCase())) continue;
+			// Complete up to the end of the host first, then the whole address
+			const hostEnd = address.indexOf('/');
+			const completion = hostEnd >= typed.length ? address.slice(0, hostEnd + 1) : address;
+			if (completion.length <= typed.length) return;
+			this.input.value = typed + completion.slice(typed.length);
+			this.input.setSelectionRange(typed.length, this.input.value.length);
+			return;
+		}
+	}
+
+	render() {
+		this.dropdown.replaceChildren();
+		this.results.forEach((result, index) => {
+			const row = document.createElement('div');
+			row.className = `omnibox-row omnibox-${result.type}`;
+			row.id = `omnibox-row-${index}`;
+			row.setAttribute('role', 'option');
+			row.setAttribute('aria-selected', String(index === this.selected));
+
+			const icon = document.createElement('span');
+			icon.className = 'omnibox-icon';
+			icon.textContent = { tab: '⇥', bookmark: '★', search: '⌕', url: '→' }[result.type] || '◷';
+
+			const title = document.createElement('span');
+			title.className = 'omnibox-title';
+			title.textContent = result.title || displayUrl(result.url);
+
+			const detail = document.createElement('span');
+			detail.className = 'omnibox-detail';
+			if (result.type === 'tab') detail.textContent = `Switch to tab · ${displayUrl(result.url)}`;
+			else if (result.type === 'search') detail.textContent = `Search ${result.engine}`;
+			else if (result.type !== 'url') detail.textContent = displayUrl(result.url);
+
+			row.append(icon, title, detail);
+			row.addEventListener('click', () => this.activate(result));
+			row.addEventListener('mousemove', () => {
+				if (this.selected !== index) this.select(index, false);
+			});
+			this.dropdown.appendChild(row);
+		});
+
+		this.dropdown.style.width = `${this.input.offsetWidth}px`;
+		this.dropdown.hidden = !this.results.length;
+		this.input.setAttribute('aria-expanded', String(!this.dropdown.hidden));
+	}
+
+	// Highlight a row; keyboard selection also puts it in the input
+	select(index, fill = true) {
+		this.selected = index;
+		for (const [i, row] of Array.from(this.dropdown.children).entries()) {
+			row.setAttribute('aria-selected', String(i === index));
+		}
+		const result = this.results[index];
+		if (result) this.input.setAttribute('aria-activedescendant', `omnibox-row-${index}`);
+		else this.input.removeAttribute('aria-activedescendant');
+		if (fill) this.input.value = result ? result.text || result.url : this.typed;
+	}
+
+	onKeyDown(event) {
+		if (this.dropdown.hidden) return;
+		const count = this.results.length;
+		switch (event.key) {
+			case 'ArrowDown':
+				event.preventDefault();
+				this.select(this.selected + 1 >= count ? -1 : this.selected + 1);
+				break;
+			case 'ArrowUp':
+				event.preventDefault();
+				this.select(this.selected - 1 < -1 ? count - 1 : this.selected - 1);
+				break;
+			case 'Escape':
+				event.preventDefault();
+				this.input.value = this.typed;
+				this.close();
+				break;
+			case 'Enter': {
+				const result = this.results[this.selected];
+				// Without a selection the form submits the input, inline completion included
+				if (!result) {
+					this.close();
+					return;
+				}
+				event.preventDefault();
+				this.activate(result);
+				break;
+			}
+		}
+	}
+
+	activate(result) {
+		this.close();
+		if (result.type === 'tab') {
+			tabManager.switchToTab(result.tabId);
+			this.input.blur();
+			return;
+		}
+		const target = result.text || result.url;
+		this.input.value = target;
+		navigateTo(target);
+		this.input.blur();
+	}
+
+	close() {
+		this.sequence++;
+		clearTimeout(this.suggestTimer);
+		this.results = [];
+		this.selected = -1;
+		this.dropdown.hidden = true;
+		this.dropdown.replaceChildren();
+		this.input.setAttribute('aria-expanded', 'false');
+		this.input.removeAttribute('aria-activedescendant');
+	}
+}
+
+const omnibox = new Omnibox(document.getElementById('nn-address'));
+
+// Open tabs other than the current one
+omnibox.addProvider({
+	name: 'tabs',
+	suggest(query) {
+		const results = [];
+		for (const [tabId, tab] of tabManager.tabs) {
+			if (tabId === 'home' || tabId === tabManager.currentTabId || !tab.url) continue;
+			if (!matchesQuery(query, tab.url, tab.title)) continue;
+			results.push({ type: 'tab', tabId, url: tab.url, title: tab.title });
+		}
+		return results;
+	},
+});
+
+// Bookmarks, ahead of pages that were only visited a few times
+omnibox.addProvider({
+	name: 'bookmarks',
+	suggest(query) {
+		return bookmarkStore.search(query).map(bookmark => ({
+			type: 'bookmark',
+			url: bookmark.url,
+			title: bookmark.title,
+			visitCount: OMNIBOX_BOOKMARK_VISITS,
+		}));
+	},
+});
+
+// Pages from the browsing history, ranked by how often and how recently they were visited.
+// Each profile sees its own history; private tabs also see the default profile's.
+omnibox.addProvider({
+	name: 'history',
+	suggest(query) {
+		const profile = profileForTab(tabManager.currentTabId);
+		const stores = [profile.history];
+		if (profile.id === PRIVATE_PROFILE_ID) stores.push(historyStore);
+		return stores.flatMap(store => store.search(query)).map(entry => ({
+			type: 'history',
+			url: entry.url,
+			title: entry.title,
+			visitCount: entry.visitCount,
+			lastVisit: entry.lastVisit,
+		}));
+	},
+});
+
+// Search suggestions from the engine that would run the query, fetched through the proxy
+omnibox.addProvider({
+	name: 'searchSuggestions',
+	remote: true,
+	async suggest(query) {
+		if (looksLikeUrl(query)) return [];
+		let engine = searchEngines.getDefault();
+		let prefix = '';
+		const [, keyword, terms] = /^(\S+)\s+(\S.*)$/.exec(query) || [];
+		const keywordEngine = keyword && searchEngines.list().find(candidate => candidate.keyword === keyword.toLowerCase());
+		if (keywordEngine) {
+			engine = keywordEngine;
+			prefix = `${keyword} `;
+			query = terms;
+		}
+		if (!engine.suggestUrl) return [];
+
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), OMNIBOX_SUGGEST_TIMEOUT_MS);
+		try {
+			const response = await proxyFetch(engine.suggestUrl.replaceAll('%s', encodeURIComponent(query)), {
+				signal: controller.signal,
+			});
+			if (!response.ok) return [];
+			// OpenSearch suggestions: [query, [completions, ...], ...]
+			const [, completions] = await response.json();
+			return (Array.isArray(completions) ? completions : [])
+				.filter(completion => typeof completion === 'string' && completion !== query)
+				.slice(0, OMNIBOX_MAX_SEARCH_SUGGESTIONS)
+				.map(completion => ({ type: 'search', title: completion, engine: engine.name, text: prefix + completion }));
+		} finally {
+			clearTimeout(timer);
+		}
+	},
+});
@@ -0,0 +1,536 @@
+"use strict";
+
+// Profiles (containers): each tab belongs to one, and each profile has its own
+// cookies, history and site data, so the same site can be logged into with
+// different accounts in different tabs. Private tabs share an extra profile
+// that lives in memory only and is dropped when the last private tab closes.
+//
+// Proxied pages keep their cookies in scramjet's one jar (in the service
+// worker) and their storage in this origin's localStorage and sessionStorage
+// as host@key, shared by every tab. That site data belongs to one profile at a
+// time: showing or loading a tab of another profile saves it to the current
+// owner's database and loads the other profile's. Only the shown tab's
+// profile is honoured: tabs of other profiles are unloaded before the swap
+// and load again when they are shown. The jar swap goes through scramjet
+// service worker internals (cookieStore dump and load), not a public API. Private pages get in-memory storage instead (see
+// isolatePrivateFrame), and the service worker keeps their jar off disk.
+const DEFAULT_PROFILE_ID = 'default';
+const PRIVATE_PROFILE_ID = 'private';
+const PRIVATE_PROFILE_COLOR = '#7c3aed';
+const PROFILE_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#06b6d4', '#84cc16'];
+// Profile whose site data is in the shared jar and storage
+const SITE_DATA_OWNER_KEY = 'novanet_site_data_owner';
+const COOKIE_JAR_TIMEOUT_MS = 5000;
+// Keys scramjet gives proxied sites' storage entries
+const SITE_STORAGE_KEY = /^[a-z0-9.-]+(?::\d+)?@/i;
+
+// Stores in each profile's own database; the default profile uses novaDB
+const PROFILE_DB_VERSION = 2;
+const PROFILE_DB_STORES = {
+	history: NOVANET_DB_STORES.history,
+	siteData: NOVANET_DB_STORES.siteData,
+	cookies: NOVANET_DB_STORES.cookies,
+};
+
+function siteStorageEntries(storage) {
+	const entries = [];
+	for (let i = 0; i < storage.length; i++) {
+		const key = storage.key(i);
+		if (SITE_STORAGE_KEY.test(key)) entries.push([key, storage.getItem(key)]);
+	}
+	return entries;
+}
+
+// Storage-like object over a Map, for private pages' localStorage and sessionStorage
+function memoryStorage(entries) {
+	const storage = {
+		get length() {
+			return entries.size;
+		},
+		key: index => Array.from(entries.keys())[index] ?? null,
+		getItem: key => entries.has(String(key)) ? entries.get(String(key)) : null,
+		setItem: (key, value) => {
+			entries.set(String(key), String(value));
+		},
+		removeItem: key => {
+			entries.delete(String(key));
+		},
+		clear: () => entries.clear(),
+	};
+	// Like Storage, items can also be read and written as properties
+	return new Proxy(storage, {
+		get: (target, key) => typeof key === 'symbol' || key in target ? target[key] : target.getItem(key),
+		set: (target, key, value) => {
+			target.setItem(key, value);
+			return true;
+		},
+		deleteProperty: (target, key) => {
+			target.removeItem(key);
+			return true;
+		},
+		has: (target, key) => entries.has(key) || key in target,
+		ownKeys: () => Array.from(entries.keys()),
+		getOwnPropertyDescriptor: (target, key) => entries.has(key)
+			? { value: entries.get(key), enumerable: true, configurable: true, writable: true }
+			: undefined,
+	});
+}
+
+function restoreSiteStorage(storage, entries) {
+	for (const [key] of siteStorageEntries(storage)) storage.removeItem(key);
+	for (const [key, value] of entries) {
+		try {
+			storage.setItem(key, value);
+		} catch (error) {
+			console.warn('Failed to restore site storage:', key, error);
+		}
+	}
+}
+
+// Dump ('dump') or replace ('load') scramjet's cookie jar; resolves with the jar after the action.
+// An ephemeral jar is kept in the service worker's memory only. 'check' resolves
+// with whether the service worker can do that.
+async function cookieJarMessage(action, jar, ephemeral = false) {
+	await registerSW();
+	const registration = await navigator.serviceWorker.ready;
+	return new Promise((resolve, reject) => {
+		const channel = new MessageChannel();
+		const timer = setTimeout(() => reject(new Error('The service worker did not answer.')), COOKIE_JAR_TIMEOUT_MS);
+		channel.port1.onmessage = ({ data }) => {
+			clearTimeout(timer);
+			if (data.error) reject(new Error(data.error));
+			else resolve(action === 'check' ? data.supported : data.jar);
+		};
+		registration.active.postMessage({ type: 'novanet-cookie-jar', action, jar, ephemeral }, [channel.port2]);
+	});
+}
+
+class Profile {
+	constructor({ id, name, color, createdAt }) {
+		this.id = id;
+		this.name = name;
+		this.color = color;
+		this.createdAt = createdAt || Date.now();
+		this.ephemeral = id === PRIVATE_PROFILE_ID;
+		if (id === DEFAULT_PROFILE_ID) this.db = novaDB;
+		else if (!this.ephemeral) this.db = new NovaDB(`novanet-profile-${id}`, PROFILE_DB_VERSION, PROFILE_DB_STORES);
+		else this.db = null;
+		// Site data of the ephemeral profile while another profile owns the shared jar
+		this.siteData = null;
+		// The ephemeral profile's localStorage and sessionStorage items, by area and host
+		this.memoryStorage = { localStorage: new Map(), sessionStorage: new Map() };
+		this.cookieManager = null;
+		this.historyStore = null;
+	}
+
+	// Created on first use, so unused profiles do not open their database
+	get cookies() {
+		if (!this.cookieManager) {
+			this.cookieManager = this.id === DEFAULT_PROFILE_ID ? cookieManager : new CookieManager({ db: this.db });
+		}
+		return this.cookieManager;
+	}
+
+	get history() {
+		if (!this.historyStore) {
+			if (this.id === DEFAULT_PROFILE_ID) {
+				this.historyStore = historyStore;
+			} else {
+				this.historyStore = new HistoryStore({ db: this.db });
+				this.historyStore.subscribe(renderHistoryView);
+			}
+		}
+		return this.historyStore;
+	}
+
+	toJSON() {
+		return { id: this.id, name: this.name, color: this.color, createdAt: this.createdAt };
+	}
+
+	async saveSiteData(data) {
+		// Storage found in the shared areas is not the ephemeral profile's, whose
+		// pages keep theirs in memoryStorage; it is dropped rather than restored
+		if (this.ephemeral) this.siteData = { jar: data.jar };
+		else await this.db.put('siteData', { key: 'current', ...data });
+	}
+
+	async loadSiteData() {
+		if (this.ephemeral) return this.siteData;
+		return this.db.get('siteData', 'current');
+	}
+
+	// Items a page on host keeps in one storage area, for the ephemeral profile
+	storageFor(area, host) {
+		const hosts = this.memoryStorage[area];
+		if (!hosts.has(host)) hosts.set(host, new Map());
+		return hosts.get(host);
+	}
+
+	// Delete everything the profile stored
+	async destroy() {
+		await this.db.destroy();
+	}
+}
+
+class ProfileManager {
+	constructor() {
+		this.profiles = new Map();
+		this.privateProfile = null;
+		this.owner = this.readOwner();
+		// Site data swaps run one after the other
+		this.pending = Promise.resolve();
+		this.listeners = [];
+		this.privateCheck = null;
+		this.ready = this.load();
+	}
+
+	readOwner() {
+		try {
+			return localStorage.getItem(SITE_DATA_OWNER_KEY) || DEFAULT_PROFILE_ID;
+		} catch (_) {
+			return DEFAULT_PROFILE_ID;
+		}
+	}
+
+	setOwner(id) {
+		this.owner = id;
+		try { localStorage.setItem(SITE_DATA_OWNER_KEY, id); } catch (_) {}
+	}
+
+	async load() {
+		const defaultProfile = new Profile({ id: DEFAULT_PROFILE_ID, name: 'Default', color: PROFILE_COLORS[0], createdAt: 0 });
+		this.profiles.set(DEFAULT_PROFILE_ID, defaultProfile);
+		try {
+			const saved = await novaDB.getAll('profiles');
+			for (const fields of saved.sort((a, b) => a.createdAt - b.createdAt)) {
+				this.profiles.set(fields.id, fields.id === DEFAULT_PROFILE_ID ? Object.assign(defaultProfile, fields) : new Profile(fields));
+			}
+			if (!saved.length) await novaDB.put('profiles', defaultProfile.toJSON());
+		} catch (error) {
+			console.warn('Failed to load profiles:', error);
+		}
+		this.changed();
+	}
+
+	// Call fn after profiles are added, renamed or removed
+	subscribe(fn) {
+		this.listeners.push(fn);
+	}
+
+	changed() {
+		for (const fn of this.listeners) fn();
+	}
+
+	// Saved profiles, not the private one
+	list() {
+		return Array.from(this.profiles.values());
+	}
+
+	get(id) {
+		if (id === PRIVATE_PROFILE_ID) return this.privateProfile;
+		return this.profiles.get(id) || null;
+	}
+
+	// Queue fn after the running step; a failed step does not stop later ones
+	queue(fn) {
+		const step = this.pending.then(fn);
+		this.pending = step.catch(() => {});
+		return step;
+	}
+
+	/**
+	 * Put a profile's site data in the shared jar and storage, saving the data
+	 * there to the profile that owned it (or dropping it if that profile is gone).
+	 * @param {string} id
+	 */
+	activate(id) {
+		return this.queue(async () => {
+			await this.ready;
+			if (this.owner === id) return;
+			const incoming = this.get(id);
+			if (!incoming) throw new Error(`Profile ${id} does not exist.`);
+
+			// Their pages would otherwise act on the incoming profile's site data
+			for (const [tabId, tab] of tabManager.tabs) {
+				if ((tab.profileId || DEFAULT_PROFILE_ID) !== id) tabManager.suspendTab(tabId);
+			}
+			const outgoing = this.get(this.owner);
+			if (outgoing) {
+				await outgoing.saveSiteData({
+					jar: await cookieJarMessage('dump'),
+					localStorage: siteStorageEntries(localStorage),
+					sessionStorage: siteStorageEntries(sessionStorage),
+				});
+			}
+			const data = await incoming.loadSiteData();
+			await cookieJarMessage('load', data?.jar || '{}', incoming.ephemeral);
+			restoreSiteStorage(localStorage, data?.localStorage || []);
+			restoreSiteStorage(sessionStorage, data?.sessionStorage || []);
+			this.setOwner(id);
+		});
+	}
+
+	// Site data left by private tabs or a deleted profile is dropped on startup
+	async recover() {
+		await this.ready;
+		if (this.profiles.has(this.owner)) return;
+		await this.activate(DEFAULT_PROFILE_ID).catch(error => console.warn('Failed to clear leftover site data:', error));
+	}
+
+	async create(name) {
+		name = String(name || '').trim();
+		if (!name) throw new Error('Give the profile a name.');
+		const used = new Set(this.list().map(profile => profile.color));
+		const profile = new Profile({
+			id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+			name,
+			color: PROFILE_COLORS.find(color => !used.has(color)) || PROFILE_COLORS[this.profiles.size % PROFILE_COLORS.length],
+		});
+		this.profiles.set(profile.id, profile);
+		await novaDB.put('profiles', profile.toJSON());
+		this.changed();
+		return profile;
+	}
+
+	async update(id, { name, color }) {
+		const profile = this.profiles.get(id);
+		if (!profile) return;
+		if (name !== undefined) profile.name = String(name).trim() || profile.name;
+		if (color !== undefined) profile.color = color;
+		await novaDB.put('profiles', profile.toJSON());
+		this.changed();
+	}
+
+	// Delete a profile and its cookies, history and site data; its tabs must be closed first
+	async remove(id) {
+		const profile = this.profiles.get(id);
+		if (!profile || id === DEFAULT_PROFILE_ID) return;
+		const tabs = Array.from(tabManager.tabs.values()).filter(tab => tab.profileId === id).length;
+		if (tabs) {
+			throw new Error(`Close the ${tabs} tab${tabs === 1 ? '' : 's'} using ${profile.name} first.`);
+		}
+		// If its site data cannot be swapped out now, recover() drops it on the next start
+		if (this.owner === id) {
+			await this.activate(DEFAULT_PROFILE_ID)
+				.catch(error => console.warn('Failed to clear the profile\'s site data:', error));
+		}
+		await this.queue(async () => {
+			this.profiles.delete(id);
+			await novaDB.delete('profiles', id);
+			await profile.destroy();
+			this.changed();
+		});
+	}
+
+	// Whether the scramjet internals private tabs rely on are there (see
+	// isolatePrivateFrame and the service worker); checked once
+	privateSupported() {
+		if (!this.privateCheck) {
+			this.privateCheck = typeof scramjet.createFrame !== 'function'
+				? Promise.resolve(false)
+				: cookieJarMessage('check').catch(error => {
+					console.warn('Failed to check for private tab support:', error);
+					// Ask again next time, the service worker may just have been slow
+					this.privateCheck = null;
+					return false;
+				});
+		}
+		return this.privateCheck;
+	}
+
+	openPrivate() {
+		if (!this.privateProfile) {
+			this.privateProfile = new Profile({ id: PRIVATE_PROFILE_ID, name: 'Private', color: PRIVATE_PROFILE_COLOR });
+		}
+		return this.privateProfile;
+	}
+
+	// Called by TabManager after a private tab is removed
+	privateTabClosed() {
+		const remaining = Array.from(tabManager.tabs.values()).some(tab => tab.profileId === PRIVATE_PROFILE_ID);
+		if (remaining || !this.privateProfile) return;
+		// Forget the private profile; its site data goes when another profile takes the jar
+		this.privateProfile = null;
+		if (this.owner === PRIVATE_PROFILE_ID) {
+			this.activate(profileForTab(tabManager.currentTabId).id)
+				.catch(error => console.warn('Failed to clear private browsing data:', error));
+		}
+	}
+}
+
+const profileManager = new ProfileManager();
+
+function profileForTab(tabId) {
+	const tab = tabManager.tabs.get(tabId);
+	return profileManager.get(tab?.profileId) || profileManager.get(DEFAULT_PROFILE_ID);
+}
+
+// Cookie jar and history a tab's pages feed
+function cookieManagerForTab(tabId) {
+	return profileForTab(tabId).cookies;
+}
+
+function historyStoreForTab(tabId) {
+	return profileForTab(tabId).history;
+}
+
+// Profile for a new tab: the current tab's, unless that is private
+function newTabProfileId() {
+	const id = tabManager.tabs.get(tabManager.currentTabId)?.profileId;
+	return id && id !== PRIVATE_PROFILE_ID ? id : DEFAULT_PROFILE_ID;
+}
+
+// Swap in the site data of a tab's profile when the tab has a page
+function activateTabProfile(tabId) {
+	const tab = tabManager.tabs.get(tabId);
+	if (!tab || (!tab.url && !tab.pendingUrl)) return Promise.resolve();
+	return profileManager.activate(profileForTab(tabId).id);
+}
+
+// Give pages in a private tab's frame, and in frames they open, in-memory
+// localStorage and sessionStorage in place of scramjet's, which keeps them in
+// this origin's storage on disk. Runs as each document starts, before its scripts.
+function isolatePrivateFrame(iframe) {
+	scramjet.createFrame(iframe).addEventListener('contextInit', ({ window: win, client }) => {
+		const profile = profileManager.openPrivate();
+		for (const area of ['localStorage', 'sessionStorage']) {
+			Object.defineProperty(win, area, {
+				value: memoryStorage(profile.storageFor(area, client.url.host)),
+				configurable: true,
+				writable: true,
+			});
+		}
+	});
+}
+
+async function createPrivateTab() {
+	if (!(await profileManager.privateSupported())) {
+		showError('Private tabs are not available.', 'This version of scramjet cannot keep their cookies and site data in memory.');
+		return null;
+	}
+	profileManager.openPrivate();
+	return tabManager.createTab(null, 'Private Tab', { profileId: PRIVATE_PROFILE_ID });
+}
+
+// Profile UI: the tab strip marker, the profile picker in the address bar and
+// the profiles section of the settings panel
+
+function applyTabProfile(tabId) {
+	const tab = tabManager.tabs.get(tabId);
+	if (!tab?.element) return;
+	const profile = profileForTab(tabId);
+	const isPrivate = profile.id === PRIVATE_PROFILE_ID;
+	tab.element.classList.toggle('private', isPrivate);
+	tab.element.classList.toggle('profiled', profile.id !== DEFAULT_PROFILE_ID);
+	tab.element.style.setProperty('--profile-color', profile.color);
+	tab.element.title = profile.id === DEFAULT_PROFILE_ID ? '' : isPrivate ? 'Private tab' : `Profile: ${profile.name}`;
+
+	let badge = tab.element.querySelector('.tab-private-badge');
+	if (isPrivate && !badge) {
+		badge = document.createElement('span');
+		badge.className = 'tab-private-badge';
+		badge.setAttribute('aria-label', 'Private');
+		badge.textContent = '🕶';
+		tab.element.prepend(badge);
+	} else if (!isPrivate && badge) {
+		badge.remove();
+	}
+}
+
+function renderProfileSelect() {
+	const select = document.getElementById('tab-profile');
+	if (!select) return;
+	const profile = profileForTab(tabManager.currentTabId);
+	const isPrivate = profile.id === PRIVATE_PROFILE_ID;
+	const profiles = isPrivate ? [profile] : profileManager.list();
+	select.replaceChildren(...profiles.map(candidate => new Option(candidate.name, candidate.id)));
+	select.value = profile.id;
+	select.disabled = isPrivate;
+	select.style.setProperty('--profile-color', profile.color);
+}
+
+// Move the current tab to another profile, reloading its page there
+function changeTabProfile(id) {
+	const tabId = tabManager.currentTabId;
+	const tab = tabManager.tabs.get(tabId);
+	if (!tab || !profileManager.get(id) || tab.profileId === id) return;
+	profileForTab(tabId).history.forgetTab(tabId);
+	tab.profileId = id;
+	applyTabProfile(tabId);
+	renderProfileSelect();
+	sessionManager.scheduleSave();
+	if (tab.url) navigateToUrl(tab.url, tabId, { skipHistory: true });
+}
+
+function setProfileStatus(message) {
+	document.getElementById('profile-status').textContent = message;
+}
+
+function renderProfileSettings() {
+	const list = document.getElementById('profile-list');
+	if (!list) return;
+	const tabCounts = new Map();
+	for (const tab of tabManager.tabs.values()) {
+		const id = tab.profileId || DEFAULT_PROFILE_ID;
+		tabCounts.set(id, (tabCounts.get(id) || 0) + 1);
+	}
+
+	list.replaceChildren(...profileManager.list().map(profile => {
+		const row = document.createElement('div');
+		row.className = 'profile-row';
+
+		const color = document.createElement('input');
+		color.type = 'color';
+		color.value = profile.color;
+		color.title = 'Color';
+		color.addEventListener('change', () => profileManager.update(profile.id, { color: color.value }));
+
+		const name = document.createElement('input');
+		name.type = 'text';
+		name.value = profile.name;
+		name.spellcheck = false;
+		name.setAttribute('aria-label', 'Profile name');
+		name.addEventListener('change', () => profileManager.update(profile.id, { name: name.value }));
+
+		const tabs = document.createElement('span');
+		tabs.className = 'profile-tabs';
+		const count = tabCounts.get(profile.id) || 0;
+		tabs.textContent = `${count} tab${count === 1 ? '' : 's'}`;
+
+		row.append(color, name, tabs);
+		if (profile.id !== DEFAULT_PROFILE_ID) {
+			const remove = document.createElement('button');
+			remove.className = 'btn btn-danger';
+			remove.textContent = 'Delete';
+			remove.addEventListener('click', async () => {
+				if (!confirm(`Delete ${profile.name} with its cookies, history and site data?`)) return;
+				try {
+					await profileManager.remove(profile.id);
+					setProfileStatus(`Deleted ${profile.name}.`);
+				} catch (error) {
+					setProfileStatus(error.message);
+				}
+			});
+			row.appendChild(remove);
+		}
+		return row;
+	}));
+}
+
+async function submitProfile(event) {
+	event.preventDefault();
+	const input = document.getElementById('profile-name');
+	try {
+		const profile = await profileManager.create(input.value);
+		input.value = '';
+		setProfileStatus(`Added ${profile.name}. Pick it for a tab in the address bar.`);
+	} catch (error) {
+		setProfileStatus(error.message);
+	}
+}
+
+profileManager.subscribe(() => {
+	for (const tabId of tabManager.tabs.keys()) applyTabProfile(tabId);
+	renderProfileSelect();
+	renderProfileSettings();
+});
@@ -8,7 +8,7 @@ const swAllowedHostnames = ["localhost", "127.0.0.1"];
 
 /**
  * Global util
- * Used in 404.html and index.html
+ * Used in index.html
  */
 async function registerSW() {
 	if (!navigator.serviceWorker) {
@@ -0,0 +1,201 @@
+"use strict";
+
+// Search engines: the list the address bar searches with, each with a name, a
+// URL template (%s is replaced by the query), an optional keyword, so that
+// "yt cats" searches YouTube, and an optional suggestions URL answering in the
+// OpenSearch JSON format for the omnibox. Engines live in IndexedDB; the
+// default engine's id is kept in localStorage so the first search after a
+// reload needs no database round trip.
+const SEARCH_DEFAULT_KEY = 'novanet_search_default';
+
+const BUILTIN_SEARCH_ENGINES = [
+	{
+		id: 'google',
+		name: 'Google',
+		template: 'https://www.google.com/search?q=%s',
+		keyword: 'g',
+		suggestUrl: 'https://suggestqueries.google.com/complete/search?client=firefox&q=%s',
+	},
+	{
+		id: 'duckduckgo',
+		name: 'DuckDuckGo',
+		template: 'https://duckduckgo.com/?q=%s',
+		keyword: 'ddg',
+		suggestUrl: 'https://duckduckgo.com/ac/?q=%s&type=list',
+	},
+	{
+		id: 'bing',
+		name: 'Bing',
+		template: 'https://www.bing.com/search?q=%s',
+		keyword: 'b',
+		suggestUrl: 'https://api.bing.com/osjson.aspx?query=%s',
+	},
+	{
+		id: 'youtube',
+		name: 'YouTube',
+		template: 'https://www.youtube.com/results?search_query=%s',
+		keyword: 'yt',
+		suggestUrl: 'https://suggestqueries.google.com/complete/search?client=firefox&ds=yt&q=%s',
+	},
+	{
+		id: 'wikipedia',
+		name: 'Wikipedia',
+		template: 'https://en.wikipedia.org/wiki/Special:Search?search=%s',
+		keyword: 'w',
+		suggestUrl: 'https://en.wikipedia.org/w/api.php?action=opensearch&format=json&search=%s',
+	},
+];
+
+function checkTemplate(template, label) {
+	if (!template.includes('%s')) throw new Error(`${label} must contain %s where the search terms go.`);
+	try {
+		if (!/^https?:$/.test(new URL(template.replace(/%s/g, 'test')).protocol)) throw new TypeError();
+	} catch (_) {
+		throw new Error(`${label} must be an http:// or https:// address.`);
+	}
+}
+
+// Turn an OpenSearch URL template into a %s template
+function fromOpenSearchTemplate(url) {
+	let template = url.getAttribute('template');
+	// GET parameters given as child elements instead of in the template
+	const params = Array.from(url.getElementsByTagNameNS('*', 'Param'));
+	if (params.length) {
+		const query = params.map(param => `${param.getAttribute('name')}=${param.getAttribute('value')}`).join('&');
+		template += (template.includes('?') ? '&' : '?') + query;
+	}
+	// {searchTerms} is the query; other parameters are optional ({name?}) or left to their defaults
+	return template
+		.replace(/\{searchTerms\}/g, '%s')
+		.replace(/\{[^}]*\?\}/g, '')
+		.replace(/\{(?:startPage|startIndex)\}/g, '1')
+		.replace(/\{(?:inputEncoding|outputEncoding)\}/g, 'UTF-8')
+		.replace(/\{language\}/g, '*')
+		.replace(/\{count\}/g, '10');
+}
+
+class SearchEngineManager {
+	constructor() {
+		this.engines = BUILTIN_SEARCH_ENGINES.map(engine => ({ ...engine }));
+		this.defaultId = this.readDefault() || 'google';
+		this.ready = this.load();
+	}
+
+	readDefault() {
+		try {
+			return localStorage.getItem(SEARCH_DEFAULT_KEY);
+		} catch (_) {
+			return null;
+		}
+	}
+
+	// Replace the built-in list with the saved one, saving the built-ins on first use
+	async load() {
+		try {
+			const saved = await novaDB.getAll('searchEngines');
+			if (saved.length) {
+				this.engines = saved.sort((a, b) => a.order - b.order);
+				// Engines saved before suggestions existed
+				for (const engine of this.engines) {
+					if (engine.suggestUrl !== undefined) continue;
+					engine.suggestUrl = BUILTIN_SEARCH_ENGINES.find(builtin => builtin.id === engine.id)?.suggestUrl || '';
+				}
+			} else {
+				await this.saveAll();
+			}
+		} catch (error) {
+			console.warn('Failed to load search engines:', error);
+		}
+	}
+
+	async saveAll() {
+		this.engines.forEach((engine, order) => { engine.order = order; });
+		await Promise.all(this.engines.map(engine => novaDB.put('searchEngines', engine)));
+	}
+
+	list() {
+		return this.engines;
+	}
+
+	get(id) {
+		return this.engines.find(engine => engine.id === id) || null;
+	}
+
+	getDefault() {
+		return this.get(this.defaultId) || this.engines[0];
+	}
+
+	setDefault(id) {
+		if (!this.get(id)) return;
+		this.defaultId = id;
+		try { localStorage.setItem(SEARCH_DEFAULT_KEY, id); } catch (_) {}
+	}
+
+	// Check and tidy a user-supplied engine; the error messages are shown to the user
+	validate({ name, template, keyword, suggestUrl }, id = null) {
+		name = String(name || '').trim();
+		template = String(template || '').trim();
+		keyword = String(keyword || '').trim().toLowerCase();
+		suggestUrl = String(suggestUrl || '').trim();
+
+		if (!name) throw new Error('Give the search engine a name.');
+		checkTemplate(template, 'The URL');
+		if (suggestUrl) checkTemplate(suggestUrl, 'The suggestions URL');
+		if (/\s/.test(keyword)) throw new Error('Keywords cannot contain spaces.');
+		if (keyword && this.engines.some(engine => engine.id !== id && engine.keyword === keyword)) {
+			throw new Error(`The keyword "${keyword}" is already used.`);
+		}
+		return { name, template, keyword, suggestUrl };
+	}
+
+	async add(fields) {
+		const engine = {
+			id: `engine-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+			...this.validate(fields),
+			order: this.engines.length,
+		};
+		this.engines.push(engine);
+		await novaDB.put('searchEngines', engine);
+		return engine;
+	}
+
+	async update(id, fields) {
+		const engine = this.get(id);
+		if (!engine) throw new Error('That search engine no longer exists.');
+		Object.assign(engine, this.validate(fields, id));
+		await novaDB.put('searchEngines', engine);
+		return engine;
+	}
+
+	async remove(id) {
+		if (this.engines.length === 1) throw new Error('Keep at least one search engine.');
+		this.engines = this.engines.filter(engine => engine.id !== id);
+		if (this.defaultId === id) this.setDefault(this.engines[0].id);
+		await novaDB.delete('searchEngines', id);
+	}
+
+	/**
+	 * Read an OpenSearch description document.
+	 * @param {string} xml
+	 * @returns {{ name: string, template: string, keyword: string, suggestUrl: string }} Fields for add(); not saved yet.
+	 */
+	parseOpenSearch(xml) {
+		const doc = new DOMParser().parseFromString(xml, 'application/xml');
+		if (doc.querySelector('parsererror')) throw new Error('The file is not valid XML.');
+
+		const name = doc.getElementsByTagNameNS('*', 'ShortName')[0]?.textContent.trim();
+		const urls = Array.from(doc.getElementsByTagNameNS('*', 'Url'))
+			.filter(element => (element.getAttribute('method') || 'get').toLowerCase() === 'get' && element.getAttribute('template'));
+		const html = urls.find(element => (element.getAttribute('type') || 'text/html') === 'text/html');
+		const suggestions = urls.find(element => element.getAttribute('type') === 'application/x-suggestions+json');
+		if (!name || !html) {
+			throw new Error('The file is not an OpenSearch description with an HTML search URL.');
+		}
+
+		const template = fromOpenSearchTemplate(html);
+		const suggestUrl = suggestions ? fromOpenSearchTemplate(suggestions) : '';
+		return this.validate({ name, template, keyword: '', suggestUrl });
+	}
+}
+
+const searchEngines = new SearchEngineManager();
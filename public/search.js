@@ -3,9 +3,17 @@
  *
  * @param {string} input
  * @param {string} template Template for a search query.
+ * @param {{ keyword: string, template: string }[]} [engines] Engines whose keyword,
+ *   typed before the query ("yt cats"), searches with their template instead.
  * @returns {string} Fully qualified URL
  */
-function search(input, template) {
+function search(input, template, engines = []) {
+	// input starts with an engine keyword:
+	// eg: yt cats, w example.com
+	const [, keyword, query] = /^(\S+)\s+(\S.*)$/.exec(input.trim()) || [];
+	const engine = keyword && engines.find((candidate) => candidate.keyword === keyword.toLowerCase());
+	if (engine) return engine.template.replaceAll("%s", encodeURIComponent(query));
+
 	try {
 		// input is a valid URL:
 		// eg: https://example.com, https://example.com/test?q=param
@@ -28,5 +36,5 @@ function search(input, template) {
 
 	// Attempts to convert the input to a fully qualified URL have failed
 	// Treat the input as a search query
-	return template.replace("%s", encodeURIComponent(input));
+	return template.replaceAll("%s", encodeURIComponent(input));
 }
@@ -0,0 +1,244 @@
+"use strict";
+
+// Tab session persistence: open tabs, their order, the active tab and each
+// tab's back/forward stack survive reloads and crashes.
+const SESSION_KEY = 'current';
+// Windows still running, by id, with when each last checked in
+const SESSION_CLEAN_KEY = 'novanet_session_clean';
+// A window's id, kept in its sessionStorage so it survives reloads and crash recovery
+const SESSION_WINDOW_KEY = 'novanet_window_id';
+const SESSION_HEARTBEAT_MS = 60 * 1000;
+// Hidden windows' timers may be throttled to once a minute, so allow a few missed check-ins
+const SESSION_WINDOW_STALE_MS = 5 * SESSION_HEARTBEAT_MS;
+const SESSION_SAVE_DELAY_MS = 500;
+const CLOSED_TABS_LIMIT = 25;
+
+class SessionManager {
+	constructor() {
+		this.closedTabs = [];
+		this.saveTimeout = null;
+		this.restoring = false;
+		this.windowId = this.readWindowId();
+		// Previous shutdown was unclean if this window, or one that stopped
+		// checking in, was left on the running list
+		this.previousShutdownClean = this.claimRunningWindows();
+		setInterval(() => this.writeCleanFlag(false), SESSION_HEARTBEAT_MS);
+
+		window.addEventListener('pagehide', () => {
+			this.flush();
+			this.writeCleanFlag(true);
+		});
+	}
+
+	readWindowId() {
+		const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+		try {
+			const saved = sessionStorage.getItem(SESSION_WINDOW_KEY);
+			if (saved) return saved;
+			sessionStorage.setItem(SESSION_WINDOW_KEY, id);
+		} catch (_) {}
+		return id;
+	}
+
+	readRunningWindows() {
+		try {
+			const windows = JSON.parse(localStorage.getItem(SESSION_CLEAN_KEY));
+			return windows && typeof windows === 'object' ? windows : {};
+		} catch (_) {
+			return {};
+		}
+	}
+
+	writeRunningWindows(windows) {
+		try { localStorage.setItem(SESSION_CLEAN_KEY, JSON.stringify(windows)); } catch (_) {}
+	}
+
+	// Drop the entries left by crashed windows and add this one; true if there were none
+	claimRunningWindows() {
+		const windows = this.readRunningWindows();
+		let clean = true;
+		for (const [id, seenAt] of Object.entries(windows)) {
+			if (id === this.windowId || !(Date.now() - seenAt < SESSION_WINDOW_STALE_MS)) {
+				clean = false;
+				delete windows[id];
+			}
+		}
+		windows[this.windowId] = Date.now();
+		this.writeRunningWindows(windows);
+		return clean;
+	}
+
+	// Check this window in as running, or take it off the list when it closes
+	writeCleanFlag(clean) {
+		const windows = this.readRunningWindows();
+		if (clean) delete windows[this.windowId];
+		else windows[this.windowId] = Date.now();
+		this.writeRunningWindows(windows);
+	}
+
+	// Serializable view of a single tab
+	snapshotTab(tabId) {
+		const tab = tabManager.tabs.get(tabId);
+		// Private tabs are never saved
+		if (!tab || tab.profileId === PRIVATE_PROFILE_ID) return null;
+		return {
+			id: tabId,
+			title: tab.title,
+			url: tab.url,
+			profileId: tab.profileId,
+			history: (tabManager.history.get(tabId) || []).slice(),
+			historyIndex: tabManager.currentHistoryIndex.has(tabId) ? tabManager.currentHistoryIndex.get(tabId) : -1
+		};
+	}
+
+	snapshot() {
+		// DOM order is the visible tab order
+		const tabIds = Array.from(document.querySelectorAll('.tabs-container .tab'))
+			.map(el => el.getAttribute('data-tab-id'));
+
+		return {
+			key: SESSION_KEY,
+			savedAt: Date.now(),
+			activeTabId: tabManager.currentTabId,
+			tabs: tabIds.map(id => this.snapshotTab(id)).filter(Boolean),
+			closedTabs: this.closedTabs
+		};
+	}
+
+	scheduleSave() {
+		if (this.restoring) return;
+		if (this.saveTimeout) clearTimeout(this.saveTimeout);
+		this.saveTimeout = setTimeout(() => {
+			this.saveTimeout = null;
+			this.save();
+		}, SESSION_SAVE_DELAY_MS);
+	}
+
+	// Save immediately if a save is pending
+	flush() {
+		if (!this.saveTimeout) return;
+		clearTimeout(this.saveTimeout);
+		this.saveTimeout = null;
+		this.save();
+	}
+
+	async save() {
+		try {
+			await novaDB.put('session', this.snapshot());
+		} catch (error) {
+			console.warn('Failed to save session:', error);
+		}
+	}
+
+	async load() {
+		try {
+			return await novaDB.get('session', SESSION_KEY);
+		} catch (error) {
+			console.warn('Failed to load session:', error);
+			return null;
+		}
+	}
+
+	// Recreate a saved tab and return its new id
+	restoreTab(saved) {
+		let tabId = saved.id;
+		// Tabs of a deleted profile come back in the default one
+		const profileId = profileManager.get(saved.profileId) ? saved.profileId : DEFAULT_PROFILE_ID;
+		if (tabId !== 'home') {
+			tabId = tabManager.createTab(saved.url, saved.title || 'New Tab', { profileId });
+		} else if (tabManager.tabs.has('home')) {
+			tabManager.tabs.get('home').profileId = profileId;
+			applyTabProfile('home');
+		}
+
+		const history = Array.isArray(saved.history) ? saved.history.slice() : [];
+		tabManager.history.set(tabId, history);
+		tabManager.currentHistoryIndex.set(tabId, Math.min(saved.historyIndex ?? -1, history.length - 1));
+
+		const tab = tabManager.tabs.get(tabId);
+		if (tab && saved.url && tabId !== 'home') {
+			// Defer loading until the tab is shown
+			tab.pendingUrl = saved.url;
+		}
+		return tabId;
+	}
+
+	async restore() {
+		await profileManager.ready;
+		const saved = await this.load();
+		if (saved && Array.isArray(saved.closedTabs)) {
+			this.closedTabs = saved.closedTabs.slice(-CLOSED_TABS_LIMIT);
+			this.renderReopenButton();
+		}
+
+		const tabs = saved && Array.isArray(saved.tabs) ? saved.tabs : [];
+		const hasContent = tabs.some(tab => tab.id !== 'home' || (tab.history && tab.history.length));
+		if (!hasContent) return;
+
+		if (!this.previousShutdownClean && !confirm('NovaNet did not shut down cleanly. Restore previous session?')) {
+			this.save();
+			return;
+		}
+
+		this.restoring = true;
+		let activeTabId = null;
+		try {
+			for (const savedTab of tabs) {
+				const tabId = this.restoreTab(savedTab);
+				if (savedTab.id === saved.activeTabId) activeTabId = tabId;
+			}
+
+			// Home was closed in the saved session
+			if (!tabs.some(tab => tab.id === 'home') && tabManager.tabs.size > 1) {
+				// Not a tab the user closed, so it does not go on the reopen stack
+				tabManager.closeTab({ stopPropagation() {} }, 'home', { remember: false });
+			}
+		} finally {
+			this.restoring = false;
+		}
+
+		if (activeTabId) tabManager.switchToTab(activeTabId);
+		this.scheduleSave();
+	}
+
+	// Called by TabManager before a tab is removed
+	rememberClosedTab(tabId) {
+		const saved = this.snapshotTab(tabId);
+		if (!saved || (!saved.url && !saved.history.length)) return;
+
+		const tabIds = Array.from(document.querySelectorAll('.tabs-container .tab'))
+			.map(el => el.getAttribute('data-tab-id'));
+		saved.position = tabIds.indexOf(tabId);
+
+		this.closedTabs.push(saved);
+		if (this.closedTabs.length > CLOSED_TABS_LIMIT) this.closedTabs.shift();
+		this.renderReopenButton();
+	}
+
+	// The tab bar's reopen button is enabled while there is a tab to reopen
+	renderReopenButton() {
+		const button = document.getElementById('reopen-tab-btn');
+		if (button) button.disabled = !this.closedTabs.length;
+	}
+
+	reopenClosedTab() {
+		const saved = this.closedTabs.pop();
+		this.renderReopenButton();
+		if (!saved) return;
+
+		const tabId = this.restoreTab({ ...saved, id: null });
+		const tab = tabManager.tabs.get(tabId);
+
+		// Put the tab back where it was
+		const tabsContainer = document.querySelector('.tabs-container');
+		const tabElements = tabsContainer.querySelectorAll('.tab');
+		if (tab && saved.position >= 0 && saved.position < tabElements.length - 1) {
+			tabsContainer.insertBefore(tab.element, tabElements[saved.position]);
+		}
+
+		tabManager.switchToTab(tabId);
+		this.scheduleSave();
+	}
+}
+
+const sessionManager = new SessionManager();
@@ -1,16 +1,138 @@
 importScripts('/scram/scramjet.all.js');
+importScripts('/errors.js');
 
 const { ScramjetServiceWorker } = $scramjetLoadWorker();
+
+// Scramjet writes the whole jar to IndexedDB after every document.cookie
+// write. Those messages are handled here instead, ahead of scramjet's own
+// listener, so a private jar is never written (see saveCookieJar). Replies to
+// scramjet's own requests carry a token and are left to it.
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (data?.scramjet$type !== 'cookie' || 'scramjet$token' in data) return;
+  event.stopImmediatePropagation();
+  scramjet.cookieStore.setCookies([data.cookie], new URL(data.url));
+  event.waitUntil(saveCookieJar().catch((err) => console.warn('Failed to save cookies:', err)));
+});
+
 const scramjet = new ScramjetServiceWorker();
 
+async function reportTransportError() {
+  for (const client of await self.clients.matchAll({ type: 'window' })) {
+    client.postMessage({ type: 'novanet-transport-error' });
+  }
+}
+
 async function handleRequest(event) {
   await scramjet.loadConfig();
   if (scramjet.route(event)) {
-    return scramjet.fetch(event);
+    try {
+      return await scramjet.fetch(event);
+    } catch (err) {
+      // Show the matching error page in the tab instead of the browser's own;
+      // its retry button reloads the tab's current URL
+      if (event.request.mode !== 'navigate') throw err;
+      const kind = errorPageKind(err, 'proxyError');
+      // Let the page fail over to another Wisp backend
+      if (kind === 'wispDisconnected') reportTransportError();
+      return fetch(errorPageUrl(kind, undefined, err));
+    }
   }
   return fetch(event.request);
 }
 
+// Scramjet keeps one cookie jar for every tab, live in this worker's memory.
+// Profiles dump it and load their own in its place when a tab of another
+// profile is shown (see profiles.js). A private jar stays in memory only:
+// while it is loaded the stored jar is empty, and a flag stored next to it
+// keeps a restarted worker from writing one.
+const PRIVATE_JAR_KEY = 'novanet-private';
+let privateJar = null;
+
+function openScramjetDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('$scramjet', 1);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function cookiesTransaction(mode, fn) {
+  const db = await openScramjetDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction('cookies', mode);
+      const result = fn(tx.objectStore('cookies'));
+      tx.oncomplete = () => resolve(result?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function isPrivateJar() {
+  if (privateJar === null) {
+    privateJar = cookiesTransaction('readonly', (store) => store.get(PRIVATE_JAR_KEY))
+      .then((flag) => flag === true, () => false);
+  }
+  return privateJar;
+}
+
+// Store the jar where scramjet loads it from when the worker starts
+async function saveCookieJar() {
+  const jar = (await isPrivateJar()) ? {} : JSON.parse(scramjet.cookieStore.dump());
+  await cookiesTransaction('readwrite', (store) => {
+    store.put(jar, 'cookies');
+  });
+}
+
+async function setPrivateJar(ephemeral) {
+  privateJar = Promise.resolve(ephemeral);
+  await cookiesTransaction('readwrite', (store) => {
+    store.put(ephemeral, PRIVATE_JAR_KEY);
+  });
+}
+
+// Private jars rely on scramjet 2.0.0-alpha internals: its cookie messages,
+// cookieStore and the cookies store of its IndexedDB (see README). Private
+// tabs are refused when they are missing rather than risk a jar on disk.
+async function privateJarSupported() {
+  const store = scramjet.cookieStore;
+  if (!['setCookies', 'dump', 'load'].every((name) => typeof store?.[name] === 'function')) return false;
+  const db = await openScramjetDB();
+  try {
+    return db.objectStoreNames.contains('cookies');
+  } finally {
+    db.close();
+  }
+}
+
+async function handleCookieJarMessage({ action, jar, ephemeral }, port) {
+  try {
+    if (action === 'check') {
+      port.postMessage({ supported: await privateJarSupported() });
+      return;
+    }
+    if (action === 'load') {
+      if (ephemeral && !(await privateJarSupported())) {
+        throw new Error('This version of scramjet cannot keep a private cookie jar in memory.');
+      }
+      scramjet.cookieStore.load(jar);
+      await setPrivateJar(Boolean(ephemeral));
+      await saveCookieJar();
+    }
+    port.postMessage({ jar: scramjet.cookieStore.dump() });
+  } catch (err) {
+    port.postMessage({ error: String(err) });
+  }
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'novanet-cookie-jar' || !event.ports[0]) return;
+  event.waitUntil(handleCookieJarMessage(event.data, event.ports[0]));
+});
+
 self.addEventListener('fetch', (event) => {
   event.respondWith(handleRequest(event));
-});
\ No newline at end of file
+});
@@ -0,0 +1,156 @@
+import { isIP } from "node:net";
+import { server as wisp } from "@mercuryworkshop/wisp-js/server";
+
+import { describeConfig } from "./config.js";
+
+// Admin dashboard at /admin: live Wisp connections, recent /ads/proxy requests
+// and the effective policy and config, with kicking connections and banning
+// IPs at runtime. Only users and tokens named in admin.users get in. Bans are
+// kept in memory and end when the server restarts.
+
+const RECENT_REQUESTS = 100;
+
+export class BanList {
+	/**
+	 * @param {import("pino").Logger} log
+	 */
+	constructor(log) {
+		this.log = log;
+		// IP -> { id, bannedAt, by }
+		this.bans = new Map();
+		this.nextId = 1;
+	}
+
+	has(ip) {
+		return Boolean(ip) && this.bans.has(ip);
+	}
+
+	add(ip, by) {
+		if (this.bans.has(ip)) return;
+		this.bans.set(ip, { id: this.nextId++, bannedAt: Date.now(), by });
+		this.log.warn({ by }, "client IP banned by administrator");
+	}
+
+	remove(id) {
+		for (const [ip, ban] of this.bans) {
+			if (ban.id !== id) continue;
+			this.bans.delete(ip);
+			this.log.info({ by: ban.by }, "client IP ban lifted");
+			return true;
+		}
+		return false;
+	}
+
+	list(anonymizer) {
+		return Array.from(this.bans, ([ip, ban]) => ({ ...ban, ip: anonymizer.ip(ip) }));
+	}
+}
+
+// The last few /ads/proxy requests, newest first
+export class RequestLog {
+	/**
+	 * @param {ReturnType<import("./logging.js").createAnonymizer>} anonymizer
+	 * @param {number} [size]
+	 */
+	constructor(anonymizer, size = RECENT_REQUESTS) {
+		this.anonymizer = anonymizer;
+		this.size = size;
+		this.entries = [];
+	}
+
+	record(req, reply) {
+		this.entries.unshift({
+			at: Date.now(),
+			ip: this.anonymizer.ip(wisp.parse_real_ip(req.headers, req.socket.remoteAddress)),
+			method: req.method,
+			// Like proxied hosts in the logs, targets are left out in privacy mode
+			target: this.anonymizer.host(req.query?.u),
+			status: reply.statusCode,
+			durationMs: Math.round(reply.elapsedTime),
+		});
+		if (this.entries.length > this.size) this.entries.pop();
+	}
+}
+
+/**
+ * Refuse banned IPs everywhere, and add /admin with its JSON API when admin.enabled.
+ * Register after the access log and before auth, so bans apply even to the login form.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} options
+ * @param {object} options.config The whole config, shown on the dashboard.
+ * @param {BanList} options.bans
+ * @param {RequestLog} options.requestLog
+ * @param {import("./wisp.js").WispServer} options.wispServer
+ * @param {import("./policy.js").Policy} options.policy
+ * @param {ReturnType<import("./logging.js").createAnonymizer>} options.anonymizer
+ */
+export function registerAdmin(fastify, { config, bans, requestLog, wispServer, policy, anonymizer }) {
+	fastify.addHook("onRequest", async (req, reply) => {
+		if (bans.has(wisp.parse_real_ip(req.headers, req.socket.remoteAddress))) {
+			return reply.code(403).type("text/plain").send("Forbidden");
+		}
+	});
+
+	if (!config.admin.enabled) return;
+	const startedAt = Date.now();
+
+	fastify.register(async (instance) => {
+		// preHandler runs after every onRequest hook, so the login gate has identified the client
+		instance.addHook("preHandler", async (req, reply) => {
+			if (!req.identity || !config.admin.users.includes(req.identity.name)) {
+				return reply.code(403).type("text/plain").send("Forbidden");
+			}
+		});
+
+		instance.get("/admin", (req, reply) => reply.type("text/html").sendFile("admin.html"));
+
+		instance.get("/admin/api/state", async (req, reply) => {
+			reply.header("cache-control", "no-store");
+			return {
+				server: {
+					startedAt,
+					uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+					memoryBytes: process.memoryUsage().rss,
+					accepting: wispServer.accepting,
+					...wispServer.stats(),
+				},
+				connections: wispServer.listConnections(),
+				requests: requestLog.entries,
+				bans: bans.list(anonymizer),
+				policy: {
+					file: policy.options.file,
+					allow: policy.allow.map((rule) => rule.text),
+					deny: policy.deny.map((rule) => rule.text),
+				},
+				config: describeConfig(config),
+			};
+		});
+
+		instance.post("/admin/api/connections/:id/kick", async (req, reply) => {
+			if (!wispServer.kick(Number(req.params.id))) return reply.code(404).send({ error: "No such connection" });
+			return reply.code(204).send();
+		});
+
+		// Bans the connection's IP without the dashboard ever seeing it (privacy mode)
+		instance.post("/admin/api/connections/:id/ban", async (req, reply) => {
+			const ip = wispServer.ipOf(Number(req.params.id));
+			if (!ip) return reply.code(404).send({ error: "No such connection" });
+			bans.add(ip, req.identity.name);
+			wispServer.kickIp(ip);
+			return reply.code(204).send();
+		});
+
+		instance.post("/admin/api/bans", async (req, reply) => {
+			const ip = String(req.body?.ip || "").trim();
+			if (!isIP(ip)) return reply.code(400).send({ error: "Not an IP address" });
+			bans.add(ip, req.identity.name);
+			wispServer.kickIp(ip);
+			return reply.code(204).send();
+		});
+
+		instance.delete("/admin/api/bans/:id", async (req, reply) => {
+			if (!bans.remove(Number(req.params.id))) return reply.code(404).send({ error: "No such ban" });
+			return reply.code(204).send();
+		});
+	});
+}
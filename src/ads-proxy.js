@@ -0,0 +1,304 @@
+import http from "node:http";
+import https from "node:https";
+import tls from "node:tls";
+import { isIP } from "node:net";
+import zlib from "node:zlib";
+import { pipeline } from "node:stream";
+import { server as wisp } from "@mercuryworkshop/wisp-js/server";
+
+import { BlockedHostError, resolvePublicAddress } from "./ssrf.js";
+import { PolicyBlockedError } from "./policy.js";
+import { classifyError, sendErrorPage } from "./error-pages.js";
+import { createCssRewriter, createHtmlRewriter, decodeText } from "./rewrite.js";
+
+// Simple server-side proxy for ad/affiliate links
+// HTML and CSS are rewritten as they stream through (see src/rewrite.js).
+
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Client headers passed upstream so media seeking and revalidation work
+const FORWARD_HEADERS = [
+	"range",
+	"if-range",
+	"if-none-match",
+	"if-modified-since",
+	"if-match",
+	"if-unmodified-since",
+];
+
+// Remove headers that block embedding, describe the upstream connection, or cause issues
+const SKIP_HEADERS = new Set([
+	"content-security-policy",
+	"x-frame-options",
+	"connection",
+	"keep-alive",
+	"transfer-encoding",
+	// Upstream cookies go into the server-side jar, never onto our origin
+	"set-cookie",
+]);
+
+export class UpstreamError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} [code] errno-style code, e.g. ETIMEDOUT.
+	 */
+	constructor(message, code = undefined) {
+		super(message);
+		this.name = "UpstreamError";
+		this.code = code;
+	}
+}
+
+// Issue one request, connecting only to the already-vetted address
+function requestPinned(url, { address, family }, { method, headers, body }, connect) {
+	const secure = url.protocol === "https:";
+	const options = {
+		method,
+		headers: body ? { ...headers, "content-length": body.length } : headers,
+		timeout: REQUEST_TIMEOUT_MS,
+		// Never let a second DNS answer swap in a different address
+		lookup: (hostname, options, callback) =>
+			options.all ? callback(null, [{ address, family }]) : callback(null, address, family),
+	};
+	if (connect) {
+		// Through an egress proxy: tunnel to the vetted address, then TLS on top for https
+		const port = Number(url.port) || (secure ? 443 : 80);
+		const hostname = url.hostname.replace(/^\[|\]$/g, "");
+		options.createConnection = (_, callback) => {
+			connect(address, port).then((socket) => {
+				if (!secure) return callback(null, socket.resume());
+				callback(null, tls.connect({ socket, servername: isIP(hostname) ? undefined : hostname }));
+			}, callback);
+		};
+	}
+	return new Promise((resolve, reject) => {
+		const req = (secure ? https : http).request(url, options, resolve);
+		req.on("timeout", () => req.destroy(new UpstreamError(`${url.host} timed out`, "ETIMEDOUT")));
+		req.on("error", reject);
+		req.end(body || undefined);
+	});
+}
+
+/**
+ * Fetch a URL, following redirects by hand so every hop goes through the SSRF guard.
+ * @param {URL} url
+ * @param {{ method?: string, headers: object, body?: Buffer | null }} request
+ * @param {object} [context]
+ * @param {import("./cookie-jar.js").CookieJar | null} [context.jar] Replays and collects cookies on every hop.
+ * @param {((host: string, port: number) => Promise<import("node:net").Socket>) | null} [context.connect]
+ *   Opens connections through the egress proxies instead of directly.
+ * @param {import("./policy.js").Policy | null} [context.policy] Checked on every hop.
+ * @returns {Promise<{ res: import("node:http").IncomingMessage, url: URL }>} The final response and its URL.
+ * @throws {BlockedHostError} If any hop resolves to a non-public address.
+ * @throws {PolicyBlockedError} If the policy blocks any hop.
+ */
+export async function fetchUpstream(url, { method = "GET", headers, body = null }, { jar = null, connect = null, policy = null } = {}) {
+	let current = url;
+	for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+		if (!/^https?:$/.test(current.protocol))
+			throw new UpstreamError(`Redirect to unsupported protocol ${current.protocol}`);
+
+		const address = await resolvePublicAddress(current.hostname);
+		const port = Number(current.port) || (current.protocol === "https:" ? 443 : 80);
+		if (policy && !(await policy.check(current.hostname, port, [address])).allowed) {
+			throw new PolicyBlockedError(current.hostname);
+		}
+		const cookie = jar?.cookieHeader(current);
+		const res = await requestPinned(
+			current,
+			address,
+			{ method, headers: cookie ? { ...headers, cookie } : headers, body },
+			connect
+		);
+		jar?.store(current, res.headers["set-cookie"]);
+
+		const location = res.headers.location;
+		if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && location) {
+			res.resume();
+			current = new URL(location, current);
+			// Like browsers: 303 always, and 301/302 after a POST, continue as a GET without the body
+			if (res.statusCode === 303 ? method !== "HEAD" : res.statusCode <= 302 && method === "POST") {
+				method = "GET";
+				body = null;
+				headers = { ...headers };
+				delete headers["content-type"];
+			}
+			continue;
+		}
+		return { res, url: current };
+	}
+	throw new UpstreamError("Too many redirects");
+}
+
+// Errors destroy every stream in the chain, which the reply picks up
+const ignore = () => {};
+
+// Undo content-encoding for bodies that have to be rewritten
+function decodedBody(res) {
+	switch ((res.headers["content-encoding"] || "").toLowerCase()) {
+		case "gzip":
+		case "x-gzip":
+			return pipeline(res, zlib.createGunzip(), ignore);
+		case "deflate":
+			return pipeline(res, zlib.createInflate(), ignore);
+		case "br":
+			return pipeline(res, zlib.createBrotliDecompress(), ignore);
+		default:
+			return res;
+	}
+}
+
+const toProxyUrl = (absolute) => `/ads/proxy?u=${encodeURIComponent(absolute)}`;
+
+// Responses can depend on the server-side cookie jar, so keep them out of shared caches
+function privateCacheControl(value) {
+	const directives = (value || "")
+		.split(",")
+		.map((directive) => directive.trim())
+		.filter((directive) => directive && !/^(public|private|s-maxage\b|proxy-revalidate)/i.test(directive));
+	return ["private", ...directives].join(", ");
+}
+
+/**
+ * Work out the upstream URL. A GET form submitted through the proxy carries `u`
+ * as a hidden field next to its own fields, which become the query string.
+ * @param {Record<string, string | string[]>} query
+ * @returns {URL}
+ */
+function targetUrl(query) {
+	const target = new URL(query.u);
+	const fields = new URLSearchParams();
+	for (const [name, value] of Object.entries(query)) {
+		if (name === "u") continue;
+		for (const item of [].concat(value)) fields.append(name, item);
+	}
+	const search = fields.toString();
+	if (search) target.search = search;
+	return target;
+}
+
+/**
+ * Fastify plugin serving GET, HEAD and POST /ads/proxy?u=<url>.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} options
+ * @param {import("./limits.js").ClientLimiter} options.limiter
+ * @param {import("./cookie-jar.js").CookieJars} options.cookieJars
+ * @param {import("./metrics.js").ServerMetrics} options.metrics
+ * @param {import("./egress.js").EgressPool} options.egress
+ * @param {import("./policy.js").Policy} options.policy
+ * @param {import("./admin.js").RequestLog} options.requestLog
+ */
+export async function adsProxy(fastify, { limiter, cookieJars, metrics, egress, policy, requestLog }) {
+	// Scoped to this plugin, so only /ads/proxy responses are counted
+	fastify.addHook("onResponse", async (req, reply) => {
+		metrics.adsProxyRequests.inc({ status: reply.statusCode });
+		requestLog.record(req, reply);
+	});
+
+	// Form posts are forwarded as-is, whatever their encoding
+	fastify.removeAllContentTypeParsers();
+	fastify.addContentTypeParser("*", { parseAs: "buffer" }, (req, body, done) => done(null, body));
+
+	fastify.route({
+		method: ["GET", "HEAD", "POST"],
+		url: "/ads/proxy",
+		handler: async (req, reply) => {
+			const client = limiter.clientKey(
+				req.identity || null,
+				wisp.parse_real_ip(req.headers, req.socket.remoteAddress)
+			);
+			const retryAfter = limiter.allowRequest(client);
+			if (retryAfter)
+				return reply.code(429).header("retry-after", retryAfter).type("text/plain").send("Too many requests");
+
+			try {
+				const u = req.query?.u;
+				if (!u) return reply.code(400).send("Missing u");
+				let target;
+				try {
+					target = targetUrl(req.query);
+				} catch {
+					return reply.code(400).send("Invalid URL");
+				}
+
+				// Allow only http(s)
+				if (!/^https?:$/.test(target.protocol)) return reply.code(400).send("Unsupported protocol");
+
+				// The browser's own cookies belong to NovaNet and are never forwarded
+				const jar = cookieJars.jarFor(req, reply);
+				const headers = {
+					"user-agent": req.headers["user-agent"] || "Mozilla/5.0",
+					accept: req.headers["accept"] || "*/*",
+					"accept-language": req.headers["accept-language"] || "en-US,en;q=0.9",
+					"accept-encoding": "gzip, deflate, br",
+				};
+				for (const name of FORWARD_HEADERS) {
+					if (req.headers[name]) headers[name] = req.headers[name];
+				}
+				const body = req.method === "POST" ? req.body || Buffer.alloc(0) : null;
+				if (body && req.headers["content-type"]) headers["content-type"] = req.headers["content-type"];
+
+				// Sticky egress selection keeps one client on one proxy
+				const connect = egress.enabled ? (host, port) => egress.connect(host, port, client) : null;
+
+				const startedAt = process.hrtime.bigint();
+				const { res, url: finalUrl } = await fetchUpstream(
+					target,
+					{ method: req.method, headers, body },
+					{ jar, connect, policy }
+				);
+				metrics.upstreamLatency.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+				// Copy status
+				reply.status(res.statusCode);
+
+				// Copy headers with filtering
+				const contentType = res.headers["content-type"] || "";
+				for (const [k, v] of Object.entries(res.headers)) {
+					if (!SKIP_HEADERS.has(k)) reply.header(k, v);
+				}
+				// Explicitly allow framing on proxied responses
+				reply.header("x-frame-options", "ALLOWALL");
+				reply.header("content-security-policy", "frame-ancestors *");
+				reply.header("cache-control", privateCacheControl(res.headers["cache-control"]));
+
+				// HEAD, 204, 304 and friends have no body to rewrite
+				const hasBody = req.method !== "HEAD" && res.statusCode !== 204 && res.statusCode !== 304;
+				if (!hasBody) {
+					res.resume();
+					return reply.send();
+				}
+
+				// Rewrite HTML and CSS to route subresources through this proxy. Relative
+				// URLs resolve against the page we ended up on, not the one requested.
+				// A partial (206) body cannot be rewritten and is passed through untouched.
+				const rewriter =
+					res.statusCode === 206
+						? null
+						: contentType.includes("text/html")
+							? createHtmlRewriter(finalUrl, toProxyUrl)
+							: contentType.includes("text/css")
+								? createCssRewriter(finalUrl, toProxyUrl)
+								: null;
+				if (rewriter) {
+					// Bodies are decoded from the declared charset and re-encoded as UTF-8
+					reply.removeHeader("content-encoding");
+					reply.removeHeader("content-length");
+					reply.removeHeader("accept-ranges");
+					reply.header("content-type", `${contentType.split(";")[0].trim()}; charset=utf-8`);
+					// Same upstream bytes give the same output, but not byte for byte the upstream's
+					const etag = res.headers.etag;
+					if (etag) reply.header("etag", etag.startsWith("W/") ? etag : `W/${etag}`);
+					return reply.send(pipeline(decodeText(decodedBody(res), contentType), rewriter, ignore));
+				}
+
+				// Stream other content types untouched, so Content-Length, Content-Range
+				// and Content-Encoding still describe the bytes sent
+				return reply.send(res);
+			} catch (err) {
+				return sendErrorPage(reply, classifyError(err), { url: req.query.u, details: err.message });
+			}
+		},
+	});
+}
@@ -0,0 +1,29 @@
+import { randomBytes } from "node:crypto";
+import { text } from "node:stream/consumers";
+
+import { hashPassword, hashToken } from "./auth.js";
+
+// Generate entries for the users file:
+//   echo -n "secret" | node src/auth-cli.js password alice
+//   node src/auth-cli.js token ci
+
+const [command, name] = process.argv.slice(2);
+
+if (command === "password" && name) {
+	// Read from stdin so the password stays out of shell history
+	const password = (await text(process.stdin)).replace(/\r?\n$/, "");
+	if (!password) {
+		console.error("No password given on stdin");
+		process.exit(1);
+	}
+	console.log(JSON.stringify({ username: name, password: await hashPassword(password) }, null, "\t"));
+} else if (command === "token" && name) {
+	const token = randomBytes(32).toString("base64url");
+	console.error(`Token for ${name} (shown once): ${token}`);
+	console.log(JSON.stringify({ name, hash: hashToken(token) }, null, "\t"));
+} else {
+	console.error("Usage:");
+	console.error("  node src/auth-cli.js password <username>   (password on stdin)");
+	console.error("  node src/auth-cli.js token <name>");
+	process.exit(1);
+}
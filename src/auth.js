@@ -0,0 +1,326 @@
+import { readFileSync, watchFile, unwatchFile } from "node:fs";
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { server as wisp } from "@mercuryworkshop/wisp-js/server";
+
+import { TokenBucket } from "./limits.js";
+
+// Optional access control: a login form with session cookies for browsers and
+// bearer tokens for scripted clients. Users and tokens live in a JSON file that
+// is re-read whenever it changes, so revoking access needs no restart.
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_COOKIE = "novanet_session";
+const SCRYPT_KEYLEN = 64;
+// Reachable without a session so the login form can render
+const PUBLIC_PATHS = new Set(["/login", "/logout", "/index.css", "/favicon.ico"]);
+// Failed logins allowed per IP and per username before they have to wait,
+// refilling at that many per LOGIN_FAILURE_WINDOW_MS
+const LOGIN_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+export class AuthFileError extends Error {
+	constructor(path, message) {
+		super(`Could not load users file ${path}: ${message}`);
+		this.name = "AuthFileError";
+	}
+}
+
+/**
+ * Hash a password for the users file.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both base64.
+ */
+export async function hashPassword(password) {
+	const salt = randomBytes(16);
+	const hash = await scryptAsync(password, salt, SCRYPT_KEYLEN);
+	return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+/**
+ * Hash a bearer token for the users file.
+ * @param {string} token
+ * @returns {string} `sha256$<hex>`
+ */
+export function hashToken(token) {
+	return `sha256$${createHash("sha256").update(token).digest("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored).split("$");
+	if (scheme !== "scrypt" || !salt || !hash) return false;
+	const expected = Buffer.from(hash, "base64");
+	const actual = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length);
+	return timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+	const bufA = Buffer.from(a);
+	const bufB = Buffer.from(b);
+	return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse a Cookie header. Values that are not valid percent-encoding are kept raw.
+ * @param {string | undefined} header
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+	const cookies = {};
+	for (const part of (header || "").split(";")) {
+		const index = part.indexOf("=");
+		if (index === -1) continue;
+		const name = part.slice(0, index).trim();
+		if (!name) continue;
+		const value = part.slice(index + 1).trim();
+		try {
+			cookies[name] = decodeURIComponent(value);
+		} catch {
+			cookies[name] = value;
+		}
+	}
+	return cookies;
+}
+
+// Only allow redirects back onto this origin. Browsers read `\` as `/` and
+// drop tabs and newlines in URLs, so `/\evil.com` would leave it.
+const NEXT_BASE = "http://x";
+
+export function safeNext(next) {
+	if (typeof next !== "string" || !next.startsWith("/") || /[\\\x00-\x1f\x7f]/.test(next)) return "/";
+	try {
+		const url = new URL(next, NEXT_BASE);
+		return url.origin === NEXT_BASE ? `${url.pathname}${url.search}${url.hash}` : "/";
+	} catch {
+		return "/";
+	}
+}
+
+export class AccessControl {
+	/**
+	 * @param {object} options The `auth` section of the config.
+	 * @param {import("pino").Logger} [log]
+	 */
+	constructor(options, log = console) {
+		this.options = options;
+		this.log = log;
+		this.enabled = options.enabled;
+		this.users = new Map();
+		this.tokens = new Map();
+		this.sessions = new Map();
+		// `ip:<address>` or `user:<name>` -> TokenBucket of failed logins left
+		this.loginFailures = new Map();
+		this.onReload = () => this.reload();
+		this.sweepInterval = null;
+	}
+
+	// Read the users file, throwing if it is missing or malformed
+	load() {
+		const path = this.options.usersFile;
+		let data;
+		try {
+			data = JSON.parse(readFileSync(path, "utf8"));
+		} catch (err) {
+			throw new AuthFileError(path, err.message);
+		}
+
+		const users = new Map();
+		for (const user of data.users || []) {
+			if (typeof user.username !== "string" || typeof user.password !== "string")
+				throw new AuthFileError(path, "every user needs a username and password hash");
+			users.set(user.username, user.password);
+		}
+		const tokens = new Map();
+		for (const token of data.tokens || []) {
+			if (typeof token.name !== "string" || typeof token.hash !== "string")
+				throw new AuthFileError(path, "every token needs a name and hash");
+			tokens.set(token.hash, token.name);
+		}
+
+		this.users = users;
+		this.tokens = tokens;
+
+		// Drop sessions whose user was removed
+		for (const [id, session] of this.sessions) {
+			if (!users.has(session.username)) this.sessions.delete(id);
+		}
+	}
+
+	// Re-read the users file, keeping the previous state if it is broken
+	reload() {
+		try {
+			this.load();
+			this.log.info(`Reloaded users file ${this.options.usersFile}`);
+		} catch (err) {
+			this.log.error(`${err.message} (keeping previous users)`);
+		}
+	}
+
+	start() {
+		if (!this.enabled) return;
+		this.load();
+		watchFile(this.options.usersFile, { interval: 2000 }, this.onReload);
+		this.sweepInterval = setInterval(() => this.sweepSessions(), 60 * 1000);
+		this.sweepInterval.unref();
+	}
+
+	close() {
+		unwatchFile(this.options.usersFile, this.onReload);
+		clearInterval(this.sweepInterval);
+	}
+
+	sweepSessions() {
+		const now = Date.now();
+		for (const [id, session] of this.sessions) {
+			if (session.expiresAt <= now) this.sessions.delete(id);
+		}
+		for (const [key, bucket] of this.loginFailures) {
+			if (bucket.waitTime(LOGIN_FAILURES) === 0) this.loginFailures.delete(key);
+		}
+	}
+
+	/**
+	 * How long the given IP and username must wait before trying to log in again.
+	 * @param {string[]} keys `ip:<address>` and `user:<name>`.
+	 * @returns {number} Seconds, 0 when a login may be tried now.
+	 */
+	loginRetryAfter(keys) {
+		const wait = Math.max(0, ...keys.map((key) => this.loginFailures.get(key)?.waitTime() || 0));
+		return Math.ceil(wait / 1000);
+	}
+
+	recordLoginFailure(keys) {
+		for (const key of keys) {
+			let bucket = this.loginFailures.get(key);
+			if (!bucket) {
+				bucket = new TokenBucket(LOGIN_FAILURES / (LOGIN_FAILURE_WINDOW_MS / 1000), LOGIN_FAILURES);
+				this.loginFailures.set(key, bucket);
+			}
+			bucket.tryTake();
+		}
+	}
+
+	/**
+	 * Work out who is making a request.
+	 * @param {import("node:http").IncomingHttpHeaders} headers
+	 * @returns {{ type: "session" | "token", name: string } | null}
+	 */
+	identify(headers) {
+		const authorization = headers.authorization || "";
+		if (authorization.toLowerCase().startsWith("bearer ")) {
+			const name = this.tokens.get(hashToken(authorization.slice(7).trim()));
+			return name ? { type: "token", name } : null;
+		}
+
+		const id = parseCookies(headers.cookie)[SESSION_COOKIE];
+		const session = id && this.sessions.get(id);
+		if (!session) return null;
+		if (session.expiresAt <= Date.now() || !this.users.has(session.username)) {
+			this.sessions.delete(id);
+			return null;
+		}
+		return { type: "session", name: session.username };
+	}
+
+	async login(username, password) {
+		const stored = this.users.get(username);
+		// Hash anyway so unknown users take as long as wrong passwords
+		const ok = await verifyPassword(password, stored || (await hashPassword("")));
+		if (!stored || !ok) return null;
+
+		const id = randomBytes(32).toString("base64url");
+		this.sessions.set(id, {
+			username,
+			expiresAt: Date.now() + this.options.sessionTtl * 1000,
+		});
+		return id;
+	}
+
+	logout(headers) {
+		const id = parseCookies(headers.cookie)[SESSION_COOKIE];
+		if (id) this.sessions.delete(id);
+	}
+
+	sessionCookie(value, maxAge) {
+		const attrs = [
+			`${SESSION_COOKIE}=${value}`,
+			"Path=/",
+			"HttpOnly",
+			"SameSite=Lax",
+			`Max-Age=${maxAge}`,
+		];
+		if (this.options.secureCookies) attrs.push("Secure");
+		return attrs.join("; ");
+	}
+
+	/**
+	 * Reject an unauthenticated WebSocket upgrade.
+	 * @returns {boolean} Whether the upgrade may proceed.
+	 */
+	authorizeUpgrade(req, socket) {
+		if (!this.enabled || this.identify(req.headers)) return true;
+		socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+		return false;
+	}
+}
+
+/**
+ * Enforce authentication on every route and add the login/logout endpoints.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {AccessControl} access
+ * @param {string[]} [publicPaths] Further paths reachable without logging in.
+ */
+export function registerAuth(fastify, access, publicPaths = []) {
+	if (!access.enabled) return;
+
+	fastify.decorateRequest("identity", null);
+
+	fastify.addHook("onRequest", async (req, reply) => {
+		const path = req.url.split("?")[0];
+		if (PUBLIC_PATHS.has(path) || publicPaths.includes(path)) return;
+
+		req.identity = access.identify(req.headers);
+		if (req.identity) return;
+
+		// Browsers navigating to a page get the login form, everything else a 401
+		if (req.method === "GET" && (req.headers.accept || "").includes("text/html")) {
+			return reply.redirect(`/login?next=${encodeURIComponent(req.url)}`);
+		}
+		return reply.code(401).header("www-authenticate", "Bearer").type("text/plain").send("Unauthorized");
+	});
+
+	fastify.register(async (instance) => {
+		instance.addContentTypeParser(
+			"application/x-www-form-urlencoded",
+			{ parseAs: "string" },
+			(req, body, done) => done(null, Object.fromEntries(new URLSearchParams(body)))
+		);
+
+		instance.get("/login", (req, reply) => reply.type("text/html").sendFile("login.html"));
+
+		instance.post("/login", async (req, reply) => {
+			const { username = "", password = "", next } = req.body || {};
+			const keys = [`ip:${wisp.parse_real_ip(req.headers, req.socket.remoteAddress)}`, `user:${username}`];
+			const retryAfter = access.loginRetryAfter(keys);
+			if (retryAfter) {
+				reply.header("retry-after", retryAfter);
+				return reply.redirect(`/login?error=throttled&next=${encodeURIComponent(safeNext(next))}`, 303);
+			}
+
+			const session = await access.login(String(username), String(password));
+			if (!session) {
+				access.recordLoginFailure(keys);
+				return reply.redirect(`/login?error=1&next=${encodeURIComponent(safeNext(next))}`, 303);
+			}
+			reply.header("set-cookie", access.sessionCookie(session, access.options.sessionTtl));
+			return reply.redirect(safeNext(next), 303);
+		});
+
+		instance.post("/logout", async (req, reply) => {
+			access.logout(req.headers);
+			reply.header("set-cookie", access.sessionCookie("", 0));
+			return reply.redirect("/login", 303);
+		});
+	});
+}
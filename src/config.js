@@ -0,0 +1,473 @@
+import { existsSync, readFileSync } from "node:fs";
+import { extname, resolve } from "node:path";
+import { parse as parseYaml } from "yaml";
+
+import { EgressError, parseProxyUrl } from "./egress.js";
+
+// Server configuration: built-in defaults, overridden by an optional
+// JSON/YAML file, overridden by NOVANET_* environment variables.
+
+const CONFIG_FILES = [
+	"novanet.config.json",
+	"novanet.config.yaml",
+	"novanet.config.yml",
+];
+
+// Leaves have a `type`; everything else is a section.
+const schema = {
+	server: {
+		host: { type: "string", default: "0.0.0.0", env: "NOVANET_HOST" },
+		port: { type: "port", default: 8080, env: ["NOVANET_PORT", "PORT"] },
+		// Seconds to let Wisp streams and /ads/proxy responses finish on SIGTERM/SIGINT
+		shutdownTimeout: { type: "integer", min: 0, default: 30, env: "NOVANET_SHUTDOWN_TIMEOUT" },
+	},
+	tls: {
+		enabled: { type: "boolean", default: false, env: "NOVANET_TLS_ENABLED" },
+		// PEM files; leave both null to generate a self-signed certificate
+		cert: { type: "path", default: null, nullable: true, env: "NOVANET_TLS_CERT" },
+		key: { type: "path", default: null, nullable: true, env: "NOVANET_TLS_KEY" },
+		// Where the generated self-signed key and certificate are kept between restarts
+		selfSignedFile: { type: "path", default: "novanet.selfsigned.pem", env: "NOVANET_TLS_SELF_SIGNED_FILE" },
+		// Serve HTTP/2 as well (HTTP/1.1 stays available for the Wisp WebSocket)
+		http2: { type: "boolean", default: false, env: "NOVANET_TLS_HTTP2" },
+		// Plain HTTP port that redirects to HTTPS; null disables
+		redirectPort: { type: "port", default: null, nullable: true, env: "NOVANET_TLS_REDIRECT_PORT" },
+		// Strict-Transport-Security max-age in seconds; 0 sends no header
+		hstsMaxAge: { type: "integer", min: 0, default: 0, env: "NOVANET_TLS_HSTS_MAX_AGE" },
+	},
+	static: {
+		// null serves the bundled public/ directory
+		publicDir: {
+			type: "path",
+			default: null,
+			nullable: true,
+			env: "NOVANET_PUBLIC_DIR",
+		},
+		mounts: {
+			scramjet: { type: "mount", default: "/scram/", env: "NOVANET_MOUNT_SCRAMJET" },
+			epoxy: { type: "mount", default: "/epoxy/", env: "NOVANET_MOUNT_EPOXY" },
+			baremux: { type: "mount", default: "/baremux/", env: "NOVANET_MOUNT_BAREMUX" },
+			libcurl: { type: "mount", default: "/libcurl/", env: "NOVANET_MOUNT_LIBCURL" },
+			baremod: { type: "mount", default: "/baremod/", env: "NOVANET_MOUNT_BAREMOD" },
+		},
+	},
+	transports: {
+		// Transport a browser starts with; each browser can pick another in Settings
+		default: { type: "enum", values: ["epoxy", "libcurl", "bare"], default: "epoxy", env: "NOVANET_TRANSPORT" },
+		// Bare server for the Bare transport (absolute URL or path on this host); NovaNet does not run one
+		bareServer: { type: "string", default: null, nullable: true, env: "NOVANET_BARE_SERVER" },
+		// Wisp endpoints (ws:// or wss:// URLs, or paths on this host) the client probes and fails
+		// over between; null offers only this server's wisp.path
+		wispServers: { type: "strings", default: null, nullable: true, env: "NOVANET_WISP_SERVERS" },
+	},
+	wisp: {
+		path: { type: "mount", default: "/wisp/", env: "NOVANET_WISP_PATH" },
+		allowUdpStreams: { type: "boolean", default: false, env: "NOVANET_WISP_ALLOW_UDP" },
+		allowTcpStreams: { type: "boolean", default: true, env: "NOVANET_WISP_ALLOW_TCP" },
+		allowDirectIp: { type: "boolean", default: true, env: "NOVANET_WISP_ALLOW_DIRECT_IP" },
+		allowPrivateIps: { type: "boolean", default: false, env: "NOVANET_WISP_ALLOW_PRIVATE_IPS" },
+		allowLoopbackIps: { type: "boolean", default: false, env: "NOVANET_WISP_ALLOW_LOOPBACK_IPS" },
+		// Regular expressions matched against the destination hostname
+		hostnameBlacklist: {
+			type: "regexes",
+			default: ["example\\.com"],
+			nullable: true,
+			env: "NOVANET_WISP_HOSTNAME_BLACKLIST",
+		},
+		// When set, only matching hostnames are allowed and the blacklist is ignored
+		hostnameWhitelist: {
+			type: "regexes",
+			default: null,
+			nullable: true,
+			env: "NOVANET_WISP_HOSTNAME_WHITELIST",
+		},
+		// Use non-filtering DNS resolvers to avoid blocked destinations
+		dnsServers: {
+			type: "strings",
+			default: ["1.1.1.1", "1.0.0.1"],
+			nullable: true,
+			env: "NOVANET_WISP_DNS_SERVERS",
+		},
+		// "resolve" queries dnsServers directly, "lookup" uses the system resolver
+		dnsMethod: {
+			type: "enum",
+			values: ["lookup", "resolve"],
+			default: "lookup",
+			env: "NOVANET_WISP_DNS_METHOD",
+		},
+		dnsTtl: { type: "integer", min: 0, default: 120, env: "NOVANET_WISP_DNS_TTL" },
+	},
+	auth: {
+		// Require a login (or bearer token) for pages, /wisp/ and /ads/proxy
+		enabled: { type: "boolean", default: false, env: "NOVANET_AUTH_ENABLED" },
+		// JSON file with users and tokens, re-read when it changes
+		usersFile: { type: "path", default: "novanet.users.json", env: "NOVANET_AUTH_USERS_FILE" },
+		// Session lifetime in seconds
+		sessionTtl: { type: "integer", min: 60, default: 43200, env: "NOVANET_AUTH_SESSION_TTL" },
+		// Mark the session cookie Secure (enable when served over https)
+		secureCookies: { type: "boolean", default: false, env: "NOVANET_AUTH_SECURE_COOKIES" },
+	},
+	// Per-client limits (per token/user when authenticated, per IP otherwise); 0 disables
+	limits: {
+		maxConnectionsPerClient: { type: "integer", min: 0, default: 0, env: "NOVANET_LIMIT_CONNECTIONS" },
+		maxStreamsPerConnection: { type: "integer", min: 0, default: 0, env: "NOVANET_LIMIT_STREAMS" },
+		adsProxyRequestsPerMinute: { type: "integer", min: 0, default: 0, env: "NOVANET_LIMIT_ADS_RPM" },
+		// Wisp traffic in both directions, shared by all of a client's connections
+		bandwidthBytesPerSecond: { type: "integer", min: 0, default: 0, env: "NOVANET_LIMIT_BANDWIDTH" },
+		// Seconds between log lines summarizing rejected clients
+		logInterval: { type: "integer", min: 0, default: 60, env: "NOVANET_LIMIT_LOG_INTERVAL" },
+	},
+	logging: {
+		level: {
+			type: "enum",
+			values: ["fatal", "error", "warn", "info", "debug", "trace", "silent"],
+			default: "info",
+			env: "NOVANET_LOG_LEVEL",
+		},
+		// JSON lines go to stdout unless a file is set
+		file: { type: "path", default: null, nullable: true, env: "NOVANET_LOG_FILE" },
+		// Rotate the file once it reaches this many bytes; 0 never rotates
+		maxSize: { type: "integer", min: 0, default: 10485760, env: "NOVANET_LOG_MAX_SIZE" },
+		// Rotated files kept next to the log file (<file>.1 is the newest)
+		maxFiles: { type: "integer", min: 0, default: 5, env: "NOVANET_LOG_MAX_FILES" },
+		// Hash client IPs and leave proxied hosts and /ads/proxy targets out of the logs
+		privacy: { type: "boolean", default: false, env: "NOVANET_LOG_PRIVACY" },
+	},
+	metrics: {
+		// Serve /metrics; /healthz and /readyz are always available
+		enabled: { type: "boolean", default: true, env: "NOVANET_METRICS_ENABLED" },
+		// Require `Authorization: Bearer <token>` on /metrics instead of the login gate
+		token: { type: "string", default: null, nullable: true, secret: true, env: "NOVANET_METRICS_TOKEN" },
+	},
+	adsProxy: {
+		// Keep upstream cookies in a server-side jar per browser and replay them
+		cookies: { type: "boolean", default: true, env: "NOVANET_ADS_COOKIES" },
+		// Seconds an unused jar is kept before it is discarded
+		cookieJarTtl: { type: "integer", min: 60, default: 3600, env: "NOVANET_ADS_COOKIE_JAR_TTL" },
+	},
+	egress: {
+		// Upstream proxies for Wisp TCP streams and /ads/proxy: socks5://, socks5h:// (the
+		// proxy resolves hostnames) or http:// (CONNECT), credentials in the URL. Empty connects directly.
+		proxies: { type: "strings", default: null, nullable: true, secret: true, env: "NOVANET_EGRESS_PROXIES" },
+		// round-robin spreads connections, sticky keeps each client on one proxy
+		selection: {
+			type: "enum",
+			values: ["round-robin", "sticky"],
+			default: "round-robin",
+			env: "NOVANET_EGRESS_SELECTION",
+		},
+		// Seconds to reach the proxy and finish its handshake
+		connectTimeout: { type: "integer", min: 1, default: 10, env: "NOVANET_EGRESS_CONNECT_TIMEOUT" },
+		// Seconds between health checks, 0 disables them
+		healthCheckInterval: { type: "integer", min: 0, default: 30, env: "NOVANET_EGRESS_HEALTH_CHECK_INTERVAL" },
+		// host:port each proxy is asked to connect to during a health check
+		healthCheckTarget: { type: "string", default: "1.1.1.1:443", env: "NOVANET_EGRESS_HEALTH_CHECK_TARGET" },
+	},
+	admin: {
+		// Serve the /admin dashboard (requires auth.enabled)
+		enabled: { type: "boolean", default: false, env: "NOVANET_ADMIN_ENABLED" },
+		// Users and token names from the users file allowed to open it
+		users: { type: "strings", default: null, nullable: true, env: "NOVANET_ADMIN_USERS" },
+	},
+	policy: {
+		// JSON file of allow/deny rules for Wisp, /ads/proxy and the address bar,
+		// re-read when it changes or on SIGHUP; unset allows everything
+		file: { type: "path", default: null, nullable: true, env: "NOVANET_POLICY_FILE" },
+	},
+};
+
+export class ConfigError extends Error {
+	constructor(problems, source) {
+		super(
+			`Invalid configuration${source ? ` in ${source}` : ""}:\n` +
+				problems.map((problem) => `  - ${problem}`).join("\n")
+		);
+		this.name = "ConfigError";
+		this.problems = problems;
+	}
+}
+
+function isLeaf(node) {
+	return typeof node.type === "string";
+}
+
+function defaultsOf(node) {
+	if (isLeaf(node)) return structuredClone(node.default);
+	const out = {};
+	for (const [key, child] of Object.entries(node)) out[key] = defaultsOf(child);
+	return out;
+}
+
+function parseEnvValue(spec, raw) {
+	const value = raw.trim();
+	if (spec.nullable && value === "null") return null;
+
+	switch (spec.type) {
+		case "boolean":
+			if (/^(1|true|yes|on)$/i.test(value)) return true;
+			if (/^(0|false|no|off)$/i.test(value)) return false;
+			return raw;
+		case "integer":
+		case "port":
+			return /^-?\d+$/.test(value) ? parseInt(value, 10) : raw;
+		case "strings":
+		case "regexes":
+			return value
+				.split(",")
+				.map((entry) => entry.trim())
+				.filter(Boolean);
+		default:
+			return value;
+	}
+}
+
+// Returns a problem description, or null if the value is valid
+function checkValue(spec, value) {
+	if (value === null) return spec.nullable ? null : "must not be null";
+
+	switch (spec.type) {
+		case "string":
+		case "path":
+			return typeof value === "string" && value.length > 0
+				? null
+				: "must be a non-empty string";
+		case "mount":
+			return typeof value === "string" && value.startsWith("/") && value.endsWith("/")
+				? null
+				: 'must be a path that starts and ends with "/"';
+		case "boolean":
+			return typeof value === "boolean" ? null : "must be true or false";
+		case "integer":
+			if (!Number.isInteger(value)) return "must be an integer";
+			if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+			if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+			return null;
+		case "port":
+			return Number.isInteger(value) && value >= 0 && value <= 65535
+				? null
+				: "must be a port number between 0 and 65535";
+		case "enum":
+			return spec.values.includes(value)
+				? null
+				: `must be one of ${spec.values.map((v) => JSON.stringify(v)).join(", ")}`;
+		case "strings":
+			return Array.isArray(value) && value.every((entry) => typeof entry === "string")
+				? null
+				: "must be a list of strings";
+		case "regexes":
+			if (!Array.isArray(value) || !value.every((entry) => typeof entry === "string"))
+				return "must be a list of regular expression strings";
+			for (const entry of value) {
+				try {
+					new RegExp(entry);
+				} catch (err) {
+					return `contains an invalid regular expression ${JSON.stringify(entry)} (${err.message})`;
+				}
+			}
+			return null;
+		default:
+			return `has unknown type ${spec.type}`;
+	}
+}
+
+// Overlay `input` onto `target`, recording unknown keys and invalid values
+function merge(node, target, input, path, problems, origin) {
+	if (input === null || typeof input !== "object" || Array.isArray(input)) {
+		problems.push(`${path || "configuration"} must be an object (${origin})`);
+		return;
+	}
+	for (const [key, value] of Object.entries(input)) {
+		const keyPath = path ? `${path}.${key}` : key;
+		const child = node[key];
+		if (!child) {
+			problems.push(`${keyPath} is not a known option (${origin})`);
+		} else if (isLeaf(child)) {
+			const problem = checkValue(child, value);
+			if (problem) problems.push(`${keyPath} ${problem}, got ${JSON.stringify(value)} (${origin})`);
+			else target[key] = value;
+		} else {
+			merge(child, target[key], value, keyPath, problems, origin);
+		}
+	}
+}
+
+function applyEnv(node, target, env, path, problems) {
+	for (const [key, child] of Object.entries(node)) {
+		const keyPath = path ? `${path}.${key}` : key;
+		if (!isLeaf(child)) {
+			applyEnv(child, target[key], env, keyPath, problems);
+			continue;
+		}
+		const names = [].concat(child.env || []);
+		// Empty variables count as unset
+		const name = names.find((candidate) => env[candidate]);
+		if (!name) continue;
+
+		const value = parseEnvValue(child, env[name]);
+		const problem = checkValue(child, value);
+		if (problem) problems.push(`${keyPath} ${problem}, got ${JSON.stringify(env[name])} (from ${name})`);
+		else target[key] = value;
+	}
+}
+
+function findConfigFile(env, cwd) {
+	if (env.NOVANET_CONFIG) return resolve(cwd, env.NOVANET_CONFIG);
+	for (const name of CONFIG_FILES) {
+		const path = resolve(cwd, name);
+		if (existsSync(path)) return path;
+	}
+	return null;
+}
+
+function readConfigFile(path) {
+	let text;
+	try {
+		text = readFileSync(path, "utf8");
+	} catch (err) {
+		throw new ConfigError([`could not read file: ${err.message}`], path);
+	}
+	try {
+		const ext = extname(path).toLowerCase();
+		const parsed = ext === ".yaml" || ext === ".yml" ? parseYaml(text) : JSON.parse(text);
+		// An empty YAML document is an empty config
+		return parsed ?? {};
+	} catch (err) {
+		throw new ConfigError([`could not parse file: ${err.message}`], path);
+	}
+}
+
+function isUrlWithProtocol(value, protocols) {
+	if (value.startsWith("/")) return true;
+	try {
+		return protocols.includes(new URL(value).protocol);
+	} catch {
+		return false;
+	}
+}
+
+const isBareServerUrl = (value) => isUrlWithProtocol(value, ["http:", "https:"]);
+const isWispServerUrl = (value) => isUrlWithProtocol(value, ["ws:", "wss:"]);
+
+/**
+ * Build the effective configuration.
+ * @param {object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env] Environment to read NOVANET_* overrides from.
+ * @param {string} [options.cwd] Directory relative paths are resolved against.
+ * @returns {{ config: object, source: string | null }} The validated config and the file it came from.
+ * @throws {ConfigError} If the file cannot be read or any value is invalid.
+ */
+export function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+	const config = defaultsOf(schema);
+	const source = findConfigFile(env, cwd);
+	const problems = [];
+
+	if (source) merge(schema, config, readConfigFile(source), "", problems, source);
+	applyEnv(schema, config, env, "", problems);
+
+	if (problems.length) throw new ConfigError(problems);
+
+	if (config.wisp.dnsMethod === "resolve" && !config.wisp.dnsServers?.length) {
+		throw new ConfigError(['wisp.dnsServers must list at least one server when wisp.dnsMethod is "resolve"']);
+	}
+	if (config.static.publicDir) {
+		config.static.publicDir = resolve(cwd, config.static.publicDir);
+		if (!existsSync(config.static.publicDir)) {
+			throw new ConfigError([`static.publicDir ${config.static.publicDir} does not exist`]);
+		}
+	}
+	if (Boolean(config.tls.cert) !== Boolean(config.tls.key)) {
+		throw new ConfigError(["tls.cert and tls.key must be set together"]);
+	}
+	for (const key of ["cert", "key", "selfSignedFile"]) {
+		if (config.tls[key]) config.tls[key] = resolve(cwd, config.tls[key]);
+	}
+	if (config.tls.enabled && config.tls.redirectPort === config.server.port) {
+		throw new ConfigError(["tls.redirectPort must differ from server.port"]);
+	}
+	for (const proxy of config.egress.proxies || []) {
+		try {
+			parseProxyUrl(proxy);
+		} catch (err) {
+			if (!(err instanceof EgressError)) throw err;
+			throw new ConfigError([`egress.proxies: ${err.message}`]);
+		}
+	}
+	if (!/^(\[[^\]]+\]|[^:]+):\d+$/.test(config.egress.healthCheckTarget)) {
+		throw new ConfigError(["egress.healthCheckTarget must be host:port"]);
+	}
+	if (config.transports.bareServer && !isBareServerUrl(config.transports.bareServer)) {
+		throw new ConfigError(["transports.bareServer must be an http(s) URL or a path starting with /"]);
+	}
+	if (config.transports.default === "bare" && !config.transports.bareServer) {
+		throw new ConfigError(['transports.bareServer must be set when transports.default is "bare"']);
+	}
+	for (const server of config.transports.wispServers || []) {
+		if (!isWispServerUrl(server)) {
+			throw new ConfigError([`transports.wispServers: ${server} must be a ws(s):// URL or a path starting with /`]);
+		}
+	}
+	if (config.policy.file) {
+		config.policy.file = resolve(cwd, config.policy.file);
+		if (!existsSync(config.policy.file)) {
+			throw new ConfigError([`policy.file ${config.policy.file} does not exist`]);
+		}
+	}
+	if (config.admin.enabled && !config.auth.enabled) {
+		throw new ConfigError(["admin.enabled requires auth.enabled"]);
+	}
+	if (config.admin.enabled && !config.admin.users?.length) {
+		throw new ConfigError(["admin.users must name at least one user or token when admin.enabled is true"]);
+	}
+	config.auth.usersFile = resolve(cwd, config.auth.usersFile);
+	if (config.logging.file) config.logging.file = resolve(cwd, config.logging.file);
+	if (config.auth.enabled && !existsSync(config.auth.usersFile)) {
+		throw new ConfigError([
+			`auth.usersFile ${config.auth.usersFile} does not exist (required when auth.enabled is true)`,
+		]);
+	}
+
+	return { config, source };
+}
+
+/**
+ * Translate the wisp section into wisp-js server options.
+ * @param {object} wispConfig The `wisp` section of the config.
+ * @returns {object} Options to assign onto `wisp.options`.
+ */
+export function toWispOptions(wispConfig) {
+	const regexes = (list) => (list ? list.map((entry) => new RegExp(entry)) : null);
+	return {
+		allow_udp_streams: wispConfig.allowUdpStreams,
+		allow_tcp_streams: wispConfig.allowTcpStreams,
+		allow_direct_ip: wispConfig.allowDirectIp,
+		allow_private_ips: wispConfig.allowPrivateIps,
+		allow_loopback_ips: wispConfig.allowLoopbackIps,
+		hostname_blacklist: regexes(wispConfig.hostnameBlacklist),
+		hostname_whitelist: regexes(wispConfig.hostnameWhitelist),
+		dns_servers: wispConfig.dnsServers,
+		dns_method: wispConfig.dnsMethod,
+		dns_ttl: wispConfig.dnsTtl,
+	};
+}
+
+/**
+ * Flatten the config into `key = value` lines for the startup banner.
+ * Options marked `secret` in the schema are masked.
+ * @param {object} config
+ * @returns {string[]}
+ */
+export function describeConfig(config, prefix = "", node = schema) {
+	const lines = [];
+	for (const [key, value] of Object.entries(config)) {
+		const path = prefix ? `${prefix}.${key}` : key;
+		const spec = node[key];
+		if (!isLeaf(spec)) {
+			lines.push(...describeConfig(value, path, spec));
+		} else if (spec.secret && value !== null) {
+			lines.push(`${path} = (hidden)`);
+		} else {
+			lines.push(`${path} = ${Array.isArray(value) ? value.join(", ") || "(none)" : value}`);
+		}
+	}
+	return lines;
+}
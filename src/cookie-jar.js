@@ -0,0 +1,244 @@
+import { randomBytes } from "node:crypto";
+import { isIP } from "node:net";
+
+// Server-side cookie storage for /ads/proxy. Upstream cookies never reach the
+// browser: each browser gets an opaque jar id scoped to /ads/, and the cookies
+// themselves are kept here, keyed by the upstream host they belong to.
+
+const JAR_COOKIE = "novanet_ads_jar";
+const MAX_COOKIES_PER_JAR = 300;
+const MAX_COOKIE_BYTES = 4096;
+// Jars kept at once; the least recently used one goes to make room
+const MAX_JARS = 10000;
+
+// Same parsing as auth.js, but values are opaque so nothing is decoded
+function readCookie(header, name) {
+	for (const part of (header || "").split(";")) {
+		const index = part.indexOf("=");
+		if (index !== -1 && part.slice(0, index).trim() === name) return part.slice(index + 1).trim();
+	}
+	return null;
+}
+
+function domainMatches(host, domain) {
+	return host === domain || (host.endsWith(`.${domain}`) && !isIP(host));
+}
+
+// RFC 6265 5.1.4: a request path matches the cookie path or sits below it
+function pathMatches(requestPath, cookiePath) {
+	if (requestPath === cookiePath) return true;
+	if (!requestPath.startsWith(cookiePath)) return false;
+	return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+function defaultPath(url) {
+	const index = url.pathname.lastIndexOf("/");
+	return index > 0 ? url.pathname.slice(0, index) : "/";
+}
+
+/**
+ * Parse one Set-Cookie header received from `url`.
+ * @param {string} header
+ * @param {URL} url
+ * @returns {object | null} The cookie, or null if it is malformed or not allowed for `url`.
+ */
+export function parseSetCookie(header, url) {
+	if (header.length > MAX_COOKIE_BYTES) return null;
+	const [pair, ...attributes] = header.split(";");
+	const index = pair.indexOf("=");
+	const name = index === -1 ? "" : pair.slice(0, index).trim();
+	const value = index === -1 ? pair.trim() : pair.slice(index + 1).trim();
+	if (!name && !value) return null;
+
+	const host = url.hostname.toLowerCase();
+	const cookie = {
+		name,
+		value,
+		domain: host,
+		hostOnly: true,
+		path: defaultPath(url),
+		secure: false,
+		expiresAt: null,
+		createdAt: Date.now(),
+	};
+
+	let maxAge = null;
+	for (const attribute of attributes) {
+		const eq = attribute.indexOf("=");
+		const key = (eq === -1 ? attribute : attribute.slice(0, eq)).trim().toLowerCase();
+		const arg = eq === -1 ? "" : attribute.slice(eq + 1).trim();
+
+		if (key === "domain" && arg) {
+			const domain = arg.replace(/^\./, "").toLowerCase();
+			// Reject cookies for other sites and for bare TLDs like "com"
+			if (!domainMatches(host, domain) || (!domain.includes(".") && domain !== host)) return null;
+			cookie.domain = domain;
+			cookie.hostOnly = domain === host;
+		} else if (key === "path") {
+			cookie.path = arg.startsWith("/") ? arg : defaultPath(url);
+		} else if (key === "secure") {
+			cookie.secure = true;
+		} else if (key === "max-age" && /^-?\d+$/.test(arg)) {
+			maxAge = parseInt(arg, 10);
+		} else if (key === "expires") {
+			const time = Date.parse(arg);
+			if (!Number.isNaN(time)) cookie.expiresAt = time;
+		}
+	}
+	// Max-Age wins over Expires
+	if (maxAge !== null) cookie.expiresAt = Date.now() + maxAge * 1000;
+	// Only secure origins may set secure cookies
+	if (cookie.secure && url.protocol !== "https:") return null;
+	return cookie;
+}
+
+export class CookieJar {
+	/**
+	 * @param {(() => void) | null} [onFirstCookie] Called once, when the jar first stores a cookie.
+	 */
+	constructor(onFirstCookie = null) {
+		// domain -> Map of `${name};${path}` -> cookie
+		this.domains = new Map();
+		this.size = 0;
+		this.usedAt = Date.now();
+		this.onFirstCookie = onFirstCookie;
+	}
+
+	/**
+	 * Store the cookies set by a response.
+	 * @param {URL} url The URL the response came from.
+	 * @param {string[] | undefined} headers The response's Set-Cookie headers.
+	 */
+	store(url, headers) {
+		this.usedAt = Date.now();
+		for (const header of headers || []) {
+			const cookie = parseSetCookie(header, url);
+			if (!cookie) continue;
+
+			let cookies = this.domains.get(cookie.domain);
+			if (!cookies) {
+				cookies = new Map();
+				this.domains.set(cookie.domain, cookies);
+			}
+			const key = `${cookie.name};${cookie.path}`;
+			const existing = cookies.get(key);
+			if (existing) {
+				// Replacing a cookie keeps its creation time, which orders the Cookie header
+				cookie.createdAt = existing.createdAt;
+				cookies.delete(key);
+				this.size--;
+			}
+			// An expiry in the past is how servers delete cookies
+			if (cookie.expiresAt !== null && cookie.expiresAt <= Date.now()) continue;
+			if (this.size >= MAX_COOKIES_PER_JAR) continue;
+			cookies.set(key, cookie);
+			this.size++;
+			if (this.onFirstCookie) {
+				this.onFirstCookie();
+				this.onFirstCookie = null;
+			}
+		}
+	}
+
+	/**
+	 * Build the Cookie header for a request.
+	 * @param {URL} url
+	 * @returns {string} Empty when no cookie applies.
+	 */
+	cookieHeader(url) {
+		this.usedAt = Date.now();
+		const host = url.hostname.toLowerCase();
+		const now = Date.now();
+		const matches = [];
+
+		// Walk up from the host itself: a.b.example.com, b.example.com, example.com, com
+		const labels = host.split(".");
+		const candidates = isIP(host) ? [host] : labels.map((label, i) => labels.slice(i).join("."));
+		for (const domain of candidates) {
+			const cookies = this.domains.get(domain);
+			if (!cookies) continue;
+			for (const [key, cookie] of cookies) {
+				if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+					cookies.delete(key);
+					this.size--;
+					continue;
+				}
+				if (cookie.hostOnly && domain !== host) continue;
+				if (cookie.secure && url.protocol !== "https:") continue;
+				if (!pathMatches(url.pathname, cookie.path)) continue;
+				matches.push(cookie);
+			}
+		}
+
+		// Longer paths first, then oldest first (RFC 6265 5.4)
+		matches.sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt);
+		return matches.map(({ name, value }) => (name ? `${name}=${value}` : value)).join("; ");
+	}
+}
+
+export class CookieJars {
+	/**
+	 * @param {object} options The `adsProxy` section of the config.
+	 */
+	constructor(options) {
+		this.options = options;
+		this.jars = new Map();
+		this.sweepInterval = null;
+	}
+
+	start() {
+		if (!this.options.cookies) return;
+		this.sweepInterval = setInterval(() => this.sweep(), 60 * 1000);
+		this.sweepInterval.unref();
+	}
+
+	close() {
+		clearInterval(this.sweepInterval);
+	}
+
+	sweep() {
+		const cutoff = Date.now() - this.options.cookieJarTtl * 1000;
+		for (const [id, jar] of this.jars) {
+			if (jar.usedAt < cutoff) this.jars.delete(id);
+		}
+	}
+
+	/**
+	 * Find the browser's jar. A browser without one gets a fresh jar that is only
+	 * kept (and its id cookie set) once upstream sends a cookie, so cookieless
+	 * clients cost nothing after their request.
+	 * @param {import("fastify").FastifyRequest} req
+	 * @param {import("fastify").FastifyReply} reply
+	 * @returns {CookieJar | null} null when cookie forwarding is disabled.
+	 */
+	jarFor(req, reply) {
+		if (!this.options.cookies) return null;
+
+		const id = readCookie(req.headers.cookie, JAR_COOKIE);
+		const existing = id && this.jars.get(id);
+		if (existing) return existing;
+
+		const jar = new CookieJar(() => {
+			if (this.jars.size >= MAX_JARS) this.evictLeastRecentlyUsed();
+			const newId = randomBytes(24).toString("base64url");
+			this.jars.set(newId, jar);
+
+			const attrs = [`${JAR_COOKIE}=${newId}`, "Path=/ads/", "HttpOnly", "SameSite=Lax"];
+			if (req.protocol === "https") attrs.push("Secure");
+			reply.header("set-cookie", attrs.join("; "));
+		});
+		return jar;
+	}
+
+	evictLeastRecentlyUsed() {
+		let oldestId = null;
+		let oldestAt = Infinity;
+		for (const [id, jar] of this.jars) {
+			if (jar.usedAt < oldestAt) {
+				oldestId = id;
+				oldestAt = jar.usedAt;
+			}
+		}
+		this.jars.delete(oldestId);
+	}
+}
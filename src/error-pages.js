@@ -0,0 +1,162 @@
+import { BlockedHostError } from "./ssrf.js";
+import { PolicyBlockedError } from "./policy.js";
+
+// Error pages for unknown routes, /ads/proxy failures and navigations that fail
+// inside a tab. One template covers every kind: what went wrong in plain words,
+// a retry button and the technical details behind a toggle. The client loads
+// GET /error/<kind>?u=<url>&details=<text> into the tab iframe.
+
+export const ERROR_PAGES = {
+	notFound: {
+		status: 404,
+		title: "Page not found",
+		message: "There is nothing at this address on the NovaNet server.",
+	},
+	blocked: {
+		status: 403,
+		title: "Blocked by policy",
+		message: "The administrator has blocked this site. Contact them if you think this is a mistake.",
+	},
+	forbiddenHost: {
+		status: 403,
+		title: "Address not allowed",
+		message: "This site points to a private or local network address, which the proxy does not connect to.",
+	},
+	dnsFailure: {
+		status: 502,
+		title: "Site not found",
+		message: "The site's address could not be looked up. Check the spelling, or retry if its DNS is having trouble.",
+	},
+	connectionRefused: {
+		status: 502,
+		title: "Connection refused",
+		message: "The site refused the connection. It may be down or not accepting connections on this port.",
+	},
+	tlsError: {
+		status: 502,
+		title: "Secure connection failed",
+		message: "The site's certificate could not be verified, so the connection was not trusted.",
+	},
+	timeout: {
+		status: 504,
+		title: "The site took too long to respond",
+		message: "The site did not answer in time. It may be overloaded or unreachable right now.",
+	},
+	wispDisconnected: {
+		status: 503,
+		title: "Lost connection to the proxy",
+		message: "The connection between your browser and the NovaNet server dropped. It reconnects on its own; retry in a moment.",
+	},
+	proxyError: {
+		status: 502,
+		title: "Could not load this page",
+		message: "Something went wrong while fetching the page through the proxy.",
+	},
+};
+
+const DNS_CODES = new Set(["ENOTFOUND", "EAI_AGAIN", "EAI_NODATA", "ENODATA", "ESERVFAIL"]);
+const TIMEOUT_CODES = new Set(["ETIMEDOUT", "ESOCKETTIMEDOUT", "UND_ERR_CONNECT_TIMEOUT"]);
+// Node reports certificate problems with OpenSSL's names, TLS and SSL failures with ERR_TLS_*/ERR_SSL_*
+const TLS_CODE = /^(ERR_TLS_|ERR_SSL_)|CERT|_SIGNATURE$/;
+
+/**
+ * Pick the error page for a failed upstream fetch.
+ * @param {Error} err
+ * @returns {keyof typeof ERROR_PAGES}
+ */
+export function classifyError(err) {
+	if (err instanceof PolicyBlockedError) return "blocked";
+	if (err instanceof BlockedHostError) return "forbiddenHost";
+	const code = err?.code || err?.cause?.code || "";
+	if (DNS_CODES.has(code)) return "dnsFailure";
+	if (code === "ECONNREFUSED") return "connectionRefused";
+	if (TIMEOUT_CODES.has(code)) return "timeout";
+	if (TLS_CODE.test(code)) return "tlsError";
+	return "proxyError";
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Render an error page.
+ * @param {keyof typeof ERROR_PAGES} kind
+ * @param {object} [options]
+ * @param {string} [options.url] What the user was trying to reach.
+ * @param {string} [options.details] Technical details, hidden behind a toggle.
+ * @param {boolean} [options.inTab] Retry by asking the NovaNet tab to navigate again
+ *   instead of reloading the page.
+ * @returns {{ status: number, html: string }}
+ */
+export function renderErrorPage(kind, { url, details, inTab = false } = {}) {
+	const page = ERROR_PAGES[kind] || ERROR_PAGES.proxyError;
+	const technical = [`Error: ${kind}`, `Status: ${page.status}`];
+	if (url) technical.push(`URL: ${url}`);
+	if (details) technical.push(`Details: ${details}`);
+
+	const html = `<!doctype html>
+<html>
+	<head>
+		<meta charset="utf-8" />
+		<meta name="viewport" content="width=device-width, initial-scale=1.0, shrink-to-fit=no" />
+		<title>${escapeHtml(page.title)}</title>
+		<link rel="shortcut icon" href="/favicon.ico" />
+		<link rel="stylesheet" href="/index.css" />
+	</head>
+	<body>
+		<div class="error-page">
+			<h1>${escapeHtml(page.title)}</h1>
+			${url ? `<p class="error-page-url">${escapeHtml(url)}</p>` : ""}
+			<p>${escapeHtml(page.message)}</p>
+			<button id="error-retry" type="button" class="btn error-page-retry" data-url="${escapeHtml(url || "")}" data-in-tab="${inTab}">
+				Retry
+			</button>
+			<details class="error-page-details">
+				<summary>Technical details</summary>
+				<pre>${escapeHtml(technical.join("\n"))}</pre>
+			</details>
+		</div>
+		<script>
+			document.getElementById("error-retry").addEventListener("click", function () {
+				var button = this;
+				// Inside a NovaNet tab the browser UI runs the navigation again
+				if (button.dataset.inTab === "true" && window.parent !== window) {
+					window.parent.postMessage({ type: "novanet-retry", url: button.dataset.url }, location.origin);
+				} else {
+					location.reload();
+				}
+			});
+		</script>
+	</body>
+</html>
+`;
+	return { status: page.status, html };
+}
+
+/**
+ * Answer a request with an error page.
+ * @param {import("fastify").FastifyReply} reply
+ * @param {keyof typeof ERROR_PAGES} kind
+ * @param {Parameters<typeof renderErrorPage>[1]} [options]
+ */
+export function sendErrorPage(reply, kind, options) {
+	const { status, html } = renderErrorPage(kind, options);
+	return reply.code(status).header("cache-control", "no-store").type("text/html; charset=utf-8").send(html);
+}
+
+/**
+ * Add GET /error/:kind for pages shown inside a tab, and make it the not-found handler.
+ * @param {import("fastify").FastifyInstance} fastify
+ */
+export function registerErrorPages(fastify) {
+	fastify.get("/error/:kind", (req, reply) => {
+		const kind = Object.hasOwn(ERROR_PAGES, req.params.kind) ? req.params.kind : "proxyError";
+		const { u, details } = req.query || {};
+		return sendErrorPage(reply, kind, {
+			url: typeof u === "string" ? u : undefined,
+			details: typeof details === "string" ? details.slice(0, 2000) : undefined,
+			inTab: true,
+		});
+	});
+
+	fastify.setNotFoundHandler((req, reply) => sendErrorPage(reply, "notFound", { url: req.url.split("?")[0] }));
+}
@@ -1,6 +1,7 @@
 import { createServer } from "node:http";
+import { createServer as createHttpsServer } from "node:https";
+import { createSecureServer } from "node:http2";
 import { fileURLToPath } from "url";
-import { URL as NodeURL } from "url";
 import { hostname } from "node:os";
 import { server as wisp, logging } from "@mercuryworkshop/wisp-js/server";
 import Fastify from "fastify";
@@ -8,38 +9,163 @@ import fastifyStatic from "@fastify/static";
 
 import { scramjetPath } from "@mercuryworkshop/scramjet/path";
 import { epoxyPath } from "@mercuryworkshop/epoxy-transport";
+import { libcurlPath } from "@mercuryworkshop/libcurl-transport";
+import { bareModulePath } from "@mercuryworkshop/bare-as-module3";
 import { baremuxPath } from "@mercuryworkshop/bare-mux/node";
 
-const publicPath = fileURLToPath(new URL("../public/", import.meta.url));
+import { loadConfig, toWispOptions, describeConfig, ConfigError } from "./config.js";
+import { AccessControl, AuthFileError, registerAuth } from "./auth.js";
+import { ClientLimiter } from "./limits.js";
+import { WispServer } from "./wisp.js";
+import { adsProxy } from "./ads-proxy.js";
+import { CookieJars } from "./cookie-jar.js";
+import { createAnonymizer, loggerOptions, registerAccessLog } from "./logging.js";
+import { ServerMetrics, registerHealthRoutes } from "./metrics.js";
+import { TlsError, createRedirectServer, loadCredentials } from "./tls.js";
+import { EgressPool } from "./egress.js";
+import { Policy, PolicyFileError, registerPolicyRoutes } from "./policy.js";
+import { BanList, RequestLog, registerAdmin } from "./admin.js";
+import { registerErrorPages } from "./error-pages.js";
+import { registerTransportRoutes } from "./transports.js";
 
-// Wisp Configuration: Refer to the documentation at https://www.npmjs.com/package/@mercuryworkshop/wisp-js
+let config, configSource;
+try {
+	({ config, source: configSource } = loadConfig());
+} catch (err) {
+	if (!(err instanceof ConfigError)) throw err;
+	console.error(err.message);
+	process.exit(1);
+}
 
-logging.set_level(logging.NONE);
-Object.assign(wisp.options, {
-  allow_udp_streams: false,
-  hostname_blacklist: [/example\.com/],
-  // Use non-filtering DNS resolvers to avoid blocked destinations
-  dns_servers: ["1.1.1.1", "1.0.0.1"]
-});
+const publicPath =
+	config.static.publicDir || fileURLToPath(new URL("../public/", import.meta.url));
+
+const anonymizer = createAnonymizer(config.logging.privacy);
+
+// Service workers need a secure context, so anything but localhost needs HTTPS
+let credentials = null;
+if (config.tls.enabled) {
+	try {
+		credentials = await loadCredentials(config.tls);
+	} catch (err) {
+		if (!(err instanceof TlsError)) throw err;
+		console.error(err.message);
+		process.exit(1);
+	}
+}
+const http2 = Boolean(credentials && config.tls.http2);
+
+function createNodeServer() {
+	if (!credentials) return createServer();
+	// HTTP/1.1 stays enabled because the Wisp WebSocket upgrade needs it
+	if (http2) return createSecureServer({ ...credentials, allowHTTP1: true });
+	return createHttpsServer(credentials);
+}
 
 const fastify = Fastify({
+	logger: loggerOptions(config.logging, anonymizer),
+	// Replaced by a single access log line per request (see src/logging.js)
+	disableRequestLogging: true,
+	http2,
 	serverFactory: (handler) => {
-		return createServer()
+		return createNodeServer()
 			.on("request", (req, res) => {
 				// Skip COOP/COEP on ad iframe routes to allow third-party content
 				if (!req.url.startsWith('/ads/')) {
 					res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
 					res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
 				}
+				if (credentials && config.tls.hstsMaxAge) {
+					res.setHeader("Strict-Transport-Security", `max-age=${config.tls.hstsMaxAge}`);
+				}
 				handler(req, res);
 			})
 			.on("upgrade", (req, socket, head) => {
-				if (req.url.endsWith("/wisp/")) wisp.routeRequest(req, socket, head);
-				else socket.end();
+				if (!req.url.endsWith(config.wisp.path)) return socket.end();
+				if (!access.authorizeUpgrade(req, socket)) return;
+				// Identities only exist when logins do; without auth clients are keyed by IP
+				wispServer.handleUpgrade(req, socket, head, access.enabled ? access.identify(req.headers) : null);
 			});
 	},
 });
 
+if (credentials?.fingerprint) {
+	fastify.log.info(
+		{ path: config.tls.selfSignedFile, fingerprint: credentials.fingerprint },
+		"generated self-signed certificate"
+	);
+}
+
+// Plain HTTP listener that only redirects to HTTPS
+const redirectServer =
+	credentials && config.tls.redirectPort !== null ? createRedirectServer(config.server.port) : null;
+
+// Wisp Configuration: Refer to the documentation at https://www.npmjs.com/package/@mercuryworkshop/wisp-js
+// Options come from the `wisp` section of the config (see src/config.js)
+
+// wisp-js only logs plain text; WispServer logs connections and streams as JSON
+logging.set_level(logging.NONE);
+Object.assign(wisp.options, toWispOptions(config.wisp));
+
+const access = new AccessControl(config.auth, fastify.log);
+try {
+	access.start();
+} catch (err) {
+	if (!(err instanceof AuthFileError)) throw err;
+	console.error(err.message);
+	process.exit(1);
+}
+
+const policy = new Policy(config.policy, fastify.log.child({ component: "policy" }));
+try {
+	policy.start();
+} catch (err) {
+	if (!(err instanceof PolicyFileError)) throw err;
+	console.error(err.message);
+	process.exit(1);
+}
+
+const limiter = new ClientLimiter(config.limits, fastify.log);
+limiter.startReporting();
+
+// Upstream proxies for outgoing connections (no-op unless egress.proxies is set)
+const egress = new EgressPool(config.egress, fastify.log.child({ component: "egress" }));
+egress.start();
+
+// Runtime IP bans from the admin dashboard
+const bans = new BanList(fastify.log.child({ component: "admin" }));
+const requestLog = new RequestLog(anonymizer);
+
+const wispServer = new WispServer({
+	limiter,
+	log: fastify.log.child({ component: "wisp" }),
+	anonymizer,
+	egress,
+	policy,
+	bans,
+});
+
+const cookieJars = new CookieJars(config.adsProxy);
+cookieJars.start();
+
+const metrics = new ServerMetrics(wispServer);
+
+registerAccessLog(fastify, anonymizer);
+
+// Banned IPs are refused before they reach the login form; /admin sits behind it
+registerAdmin(fastify, { config, bans, requestLog, wispServer, policy, anonymizer });
+
+// Login gate in front of static pages and /ads/proxy (no-op unless auth.enabled).
+// Probes stay open for the orchestrator; /metrics has its own token when one is set.
+registerAuth(fastify, access, ["/healthz", "/readyz", ...(config.metrics.token ? ["/metrics"] : [])]);
+
+registerHealthRoutes(fastify, {
+	metrics,
+	config: config.metrics,
+	staticRoots: [publicPath, scramjetPath, epoxyPath, baremuxPath, libcurlPath, bareModulePath],
+	wispServer,
+});
+
 fastify.register(fastifyStatic, {
 	root: publicPath,
 	decorateReply: true,
@@ -47,159 +173,106 @@ fastify.register(fastifyStatic, {
 
 fastify.register(fastifyStatic, {
   root: scramjetPath,
-  prefix: "/scram/",
+  prefix: config.static.mounts.scramjet,
   decorateReply: false,
 });
 
 fastify.register(fastifyStatic, {
 	root: epoxyPath,
-	prefix: "/epoxy/",
+	prefix: config.static.mounts.epoxy,
 	decorateReply: false,
 });
 
 fastify.register(fastifyStatic, {
 	root: baremuxPath,
-	prefix: "/baremux/",
+	prefix: config.static.mounts.baremux,
+	decorateReply: false,
+});
+
+fastify.register(fastifyStatic, {
+	root: libcurlPath,
+	prefix: config.static.mounts.libcurl,
 	decorateReply: false,
 });
 
-// Simple server-side proxy for ad/affiliate links
-// NOTE: Minimal rewriting for HTML and CSS. Not a full browser.
-fastify.get('/ads/proxy', async (req, reply) => {
-  try {
-    const u = req.query?.u;
-    if (!u) return reply.code(400).send('Missing u');
-    let target;
-    try { target = new NodeURL(u); } catch { return reply.code(400).send('Invalid URL'); }
-
-    // Allow only http(s)
-    if (!/^https?:$/.test(target.protocol)) return reply.code(400).send('Unsupported protocol');
-
-    // Basic SSRF guard: block localhost and private IP hostnames
-    const hostl = target.hostname.toLowerCase();
-    const isBlockedHost = (
-      hostl === 'localhost' || hostl.endsWith('.localhost') ||
-      hostl === '127.0.0.1' || hostl.startsWith('127.') ||
-      hostl.startsWith('10.') || hostl.startsWith('192.168.') ||
-      (/^172\.(1[6-9]|2\d|3[0-1])\./).test(hostl) ||
-      hostl === '::1' || hostl.startsWith('fe80:') || hostl.startsWith('fc') || hostl.startsWith('fd')
-    );
-    if (isBlockedHost) return reply.code(403).send('Forbidden host');
-
-    const res = await fetch(target.toString(), {
-      redirect: 'follow',
-      headers: {
-        'user-agent': req.headers['user-agent'] || 'Mozilla/5.0',
-        'accept': req.headers['accept'] || '*/*',
-        'accept-language': req.headers['accept-language'] || 'en-US,en;q=0.9',
-      },
-    });
-
-    // Copy status
-    reply.status(res.status);
-
-    // Copy headers with filtering
-    const contentType = res.headers.get('content-type') || '';
-    // Remove headers that block embedding or cause issues
-    const skipHeaders = new Set(['content-security-policy', 'x-frame-options', 'content-length']);
-    res.headers.forEach((v, k) => {
-      if (!skipHeaders.has(k.toLowerCase())) reply.header(k, v);
-    });
-    // Explicitly allow framing on proxied responses
-    reply.header('x-frame-options', 'ALLOWALL');
-    reply.header('content-security-policy', "frame-ancestors *");
-
-    // Rewrite HTML and CSS to route subresources through this proxy
-    if (contentType.includes('text/html')) {
-      const text = await res.text();
-      const base = target;
-      const prox = (urlStr) => {
-        try {
-          const abs = new NodeURL(urlStr, base);
-          return `/ads/proxy?u=${encodeURIComponent(abs.toString())}`;
-        } catch { return urlStr; }
-      };
-      let out = text;
-      // Rewrite common attributes: href, src, action, poster
-      out = out.replace(/\b(href|src|action|poster)=("|')([^"']+)(\2)/gi, (m, attr, q, val) => {
-        if (val.startsWith('data:') || val.startsWith('blob:') || val.startsWith('mailto:') || val.startsWith('javascript:')) return m;
-        return `${attr}=${q}${prox(val)}${q}`;
-      });
-      // Basic CSS url() rewriting inside <style> blocks
-      out = out.replace(/url\(([^)]+)\)/gi, (m, inner) => {
-        const s = inner.trim().replace(/^"|"$/g, '').replace(/^'|'$/g, '');
-        if (s.startsWith('data:') || s.startsWith('blob:')) return m;
-        return `url(${prox(s)})`;
-      });
-      // Remove CSP meta tags
-      out = out.replace(/<meta[^>]+http-equiv=["']Content-Security-Policy["'][^>]*>/gi, '');
-      reply.header('content-type', 'text/html; charset=utf-8');
-      return reply.send(out);
-    }
-
-    if (contentType.includes('text/css')) {
-      let css = await res.text();
-      const base = target;
-      const prox = (urlStr) => {
-        try { const abs = new NodeURL(urlStr, base); return `/ads/proxy?u=${encodeURIComponent(abs.toString())}`; } catch { return urlStr; }
-      };
-      css = css.replace(/url\(([^)]+)\)/gi, (m, inner) => {
-        const s = inner.trim().replace(/^"|"$/g, '').replace(/^'|'$/g, '');
-        if (s.startsWith('data:') || s.startsWith('blob:')) return m;
-        return `url(${prox(s)})`;
-      });
-      reply.header('content-type', 'text/css; charset=utf-8');
-      return reply.send(css);
-    }
-
-    // Stream other content types
-    reply.header('cache-control', 'no-store');
-    return reply.send(res.body);
-  } catch (err) {
-    return reply.code(502).type('text/plain').send('Proxy error');
-  }
+fastify.register(fastifyStatic, {
+	root: bareModulePath,
+	prefix: config.static.mounts.baremod,
+	decorateReply: false,
 });
 
-fastify.setNotFoundHandler((res, reply) => {
-	return reply.code(404).type('text/html').sendFile('404.html');
-})
+// Tells the client which transports it can pick (see src/transports.js)
+registerTransportRoutes(fastify, config);
+
+// Server-side proxy for ad/affiliate links (see src/ads-proxy.js)
+fastify.register(adsProxy, { limiter, cookieJars, metrics, egress, policy, requestLog });
+
+// Lets the address bar show a "blocked by policy" page before navigating
+registerPolicyRoutes(fastify, policy);
+
+// Error pages for tabs (/error/:kind) and unknown routes
+registerErrorPages(fastify);
 
 fastify.server.on("listening", () => {
 	const address = fastify.server.address();
 
 	// by default we are listening on 0.0.0.0 (every interface)
 	// we just need to list a few
+	const scheme = credentials ? "https" : "http";
 	console.log("NovaNet Proxy Server Started!");
 	console.log("Listening on:");
-	console.log(`\thttp://localhost:${address.port}`);
-	console.log(`\thttp://${hostname()}:${address.port}`);
+	console.log(`\t${scheme}://localhost:${address.port}`);
+	console.log(`\t${scheme}://${hostname()}:${address.port}`);
 	console.log(
-		`\thttp://${
+		`\t${scheme}://${
 			address.family === "IPv6" ? `[${address.address}]` : address.address
 		}:${address.port}`
 	);
+	if (redirectServer) console.log(`\thttp://*:${config.tls.redirectPort} (redirects to HTTPS)`);
 	console.log("\nFeatures:");
 	console.log("   • Modern browser-like interface");
 	console.log("   • Multi-tab support");
 	console.log("   • Secure web proxy");
 	console.log("   • Bypass internet censorship");
 	console.log("   • Privacy-focused browsing");
+	console.log(`\nConfiguration (${configSource || "defaults"}):`);
+	for (const line of describeConfig(config)) console.log(`\t${line}`);
 });
 
 process.on("SIGINT", shutdown);
 process.on("SIGTERM", shutdown);
+process.on("SIGHUP", () => policy.reload());
 
-function shutdown() {
-	console.log("SIGTERM signal received: closing HTTP server");
-	fastify.close();
-	process.exit(0);
-}
+let shuttingDown = false;
+
+async function shutdown(signal) {
+	if (shuttingDown) {
+		fastify.log.warn({ signal }, "second signal received, exiting without draining");
+		process.exit(1);
+	}
+	shuttingDown = true;
 
-let port = parseInt(process.env.PORT || "");
+	// New upgrades and requests are refused (503) while existing ones finish
+	const timeoutMs = config.server.shutdownTimeout * 1000;
+	fastify.log.info({ signal, timeoutMs }, "draining before shutdown");
+	redirectServer?.close();
+	// HTTP/2 servers have no closeAllConnections; their sessions end with the process
+	const forceClose = setTimeout(() => fastify.server.closeAllConnections?.(), timeoutMs);
+	await Promise.all([wispServer.drain(timeoutMs), fastify.close()]);
+	clearTimeout(forceClose);
 
-if (isNaN(port)) port = 8080;
+	access.close();
+	policy.close();
+	limiter.stopReporting();
+	cookieJars.close();
+	egress.close();
+	fastify.log.info("shutdown complete");
+	process.exit(0);
+}
 
 fastify.listen({
-	port: port,
-	host: "0.0.0.0",
+	port: config.server.port,
+	host: config.server.host,
 });
+
+redirectServer?.listen(config.tls.redirectPort, config.server.host);
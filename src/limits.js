@@ -0,0 +1,179 @@
+// Per-client limits for Wisp and /ads/proxy. Clients are identified by their
+// bearer token or login when auth is enabled, and by IP address otherwise.
+
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class TokenBucket {
+	/**
+	 * @param {number} rate Tokens added per second.
+	 * @param {number} capacity Maximum tokens held (the burst size).
+	 */
+	constructor(rate, capacity) {
+		this.rate = rate;
+		this.capacity = capacity;
+		this.tokens = capacity;
+		this.updatedAt = Date.now();
+		// Last time tokens were taken; refill() moves updatedAt on every call
+		this.lastUsed = this.updatedAt;
+	}
+
+	refill() {
+		const now = Date.now();
+		this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+		this.updatedAt = now;
+	}
+
+	// Take `count` tokens if available, returning whether it succeeded
+	tryTake(count = 1) {
+		this.refill();
+		this.lastUsed = this.updatedAt;
+		if (this.tokens < count) return false;
+		this.tokens -= count;
+		return true;
+	}
+
+	// Take `count` tokens, going into debt, and return how long to wait in ms
+	take(count) {
+		this.refill();
+		this.lastUsed = this.updatedAt;
+		this.tokens -= count;
+		return this.tokens < 0 ? Math.ceil((-this.tokens / this.rate) * 1000) : 0;
+	}
+
+	// Milliseconds until `count` tokens are available
+	waitTime(count = 1) {
+		this.refill();
+		return this.tokens >= count ? 0 : Math.ceil(((count - this.tokens) / this.rate) * 1000);
+	}
+
+	isIdle() {
+		this.refill();
+		return this.tokens >= this.capacity && Date.now() - this.lastUsed > IDLE_BUCKET_MS;
+	}
+}
+
+export class ClientLimiter {
+	/**
+	 * @param {object} options The `limits` section of the config. Zero disables a limit.
+	 * @param {import("pino").Logger} [log]
+	 */
+	constructor(options, log = console) {
+		this.options = options;
+		this.log = log;
+		this.connections = new Map();
+		this.requestBuckets = new Map();
+		this.bandwidthBuckets = new Map();
+		// Rejections since the last report, keyed by `${reason} ${client}`
+		this.rejections = new Map();
+		this.reportInterval = null;
+		this.sweepInterval = null;
+	}
+
+	/**
+	 * @param {{ type: string, name: string } | null} identity From AccessControl.identify.
+	 * @param {string} ip
+	 * @returns {string}
+	 */
+	clientKey(identity, ip) {
+		if (identity) return `${identity.type === "token" ? "token" : "user"}:${identity.name}`;
+		return `ip:${ip}`;
+	}
+
+	reject(reason, client) {
+		const key = `${reason} ${client}`;
+		this.rejections.set(key, (this.rejections.get(key) || 0) + 1);
+	}
+
+	// Reserve a WebSocket connection slot, returning false if the client is at its cap
+	acquireConnection(client) {
+		const open = this.connections.get(client) || 0;
+		const max = this.options.maxConnectionsPerClient;
+		if (max && open >= max) {
+			this.reject("connections", client);
+			return false;
+		}
+		this.connections.set(client, open + 1);
+		return true;
+	}
+
+	releaseConnection(client) {
+		const open = (this.connections.get(client) || 1) - 1;
+		if (open > 0) this.connections.set(client, open);
+		else this.connections.delete(client);
+	}
+
+	// Whether a new stream fits within the per-connection cap
+	allowStream(client, openStreams) {
+		const max = this.options.maxStreamsPerConnection;
+		if (max && openStreams >= max) {
+			this.reject("streams", client);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Count an /ads/proxy request against the client's per-minute budget.
+	 * @returns {number} 0 if allowed, otherwise seconds until the next request is allowed.
+	 */
+	allowRequest(client) {
+		const perMinute = this.options.adsProxyRequestsPerMinute;
+		if (!perMinute) return 0;
+
+		let bucket = this.requestBuckets.get(client);
+		if (!bucket) {
+			bucket = new TokenBucket(perMinute / 60, perMinute);
+			this.requestBuckets.set(client, bucket);
+		}
+		if (bucket.tryTake()) return 0;
+
+		this.reject("requests", client);
+		return Math.max(1, Math.ceil(bucket.waitTime() / 1000));
+	}
+
+	// Delay until `bytes` fit under the client's bandwidth ceiling
+	async throttle(client, bytes) {
+		const rate = this.options.bandwidthBytesPerSecond;
+		if (!rate) return;
+
+		let bucket = this.bandwidthBuckets.get(client);
+		if (!bucket) {
+			bucket = new TokenBucket(rate, rate);
+			this.bandwidthBuckets.set(client, bucket);
+		}
+		const wait = bucket.take(bytes);
+		if (wait) await sleep(wait);
+	}
+
+	// Forget idle buckets, and log rejection counters periodically if logInterval is set
+	startReporting() {
+		this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+		this.sweepInterval.unref();
+		if (!this.options.logInterval) return;
+		this.reportInterval = setInterval(() => this.report(), this.options.logInterval * 1000);
+		this.reportInterval.unref();
+	}
+
+	stopReporting() {
+		clearInterval(this.sweepInterval);
+		clearInterval(this.reportInterval);
+	}
+
+	sweep() {
+		for (const buckets of [this.requestBuckets, this.bandwidthBuckets]) {
+			for (const [client, bucket] of buckets) {
+				if (bucket.isIdle()) buckets.delete(client);
+			}
+		}
+	}
+
+	report() {
+		if (!this.rejections.size) return;
+		const summary = Array.from(this.rejections, ([key, count]) => `${key} x${count}`).join(", ");
+		this.log.warn(`Rate limits hit in the last ${this.options.logInterval}s: ${summary}`);
+		this.rejections.clear();
+	}
+}
@@ -0,0 +1,128 @@
+import { createHash, randomBytes } from "node:crypto";
+import { closeSync, existsSync, fstatSync, openSync, renameSync, rmSync, writeSync } from "node:fs";
+import { server as wisp } from "@mercuryworkshop/wisp-js/server";
+
+// Structured JSON logs through Fastify's bundled pino logger: one access log
+// line per request, Wisp connection and stream events, and a privacy mode that
+// keeps client addresses and proxied destinations out of the logs.
+
+// Append-only log file that is renamed to `<path>.1`, `<path>.2`, ... once it
+// reaches `maxSize` bytes. Writes are synchronous so nothing is lost on exit.
+export class RotatingFileStream {
+	/**
+	 * @param {string} path
+	 * @param {number} maxSize Bytes before rotating, 0 never rotates.
+	 * @param {number} maxFiles Rotated files to keep.
+	 */
+	constructor(path, maxSize, maxFiles) {
+		this.path = path;
+		this.maxSize = maxSize;
+		this.maxFiles = maxFiles;
+		this.open();
+	}
+
+	open() {
+		this.fd = openSync(this.path, "a");
+		this.size = fstatSync(this.fd).size;
+	}
+
+	write(chunk) {
+		const bytes = Buffer.byteLength(chunk);
+		if (this.maxSize && this.size > 0 && this.size + bytes > this.maxSize) this.rotate();
+		writeSync(this.fd, chunk);
+		this.size += bytes;
+		return true;
+	}
+
+	rotate() {
+		closeSync(this.fd);
+		// Shifting onto the last slot overwrites the oldest file
+		for (let i = this.maxFiles - 1; i >= 1; i--) {
+			if (existsSync(`${this.path}.${i}`)) renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+		}
+		if (this.maxFiles > 0) renameSync(this.path, `${this.path}.1`);
+		else rmSync(this.path);
+		this.open();
+	}
+}
+
+/**
+ * Helpers that strip identifying details from log fields when privacy is on.
+ * IPs are hashed with a per-process salt, so one client's lines can still be
+ * correlated within a run but not traced back to an address.
+ * @param {boolean} privacy
+ */
+export function createAnonymizer(privacy) {
+	const salt = randomBytes(16);
+	const ip = (address) =>
+		privacy && address
+			? `anon-${createHash("sha256").update(salt).update(address).digest("hex").slice(0, 16)}`
+			: address;
+
+	return {
+		ip,
+		// Limiter client keys embed the IP for anonymous clients
+		client: (key) => (key.startsWith("ip:") ? `ip:${ip(key.slice(3))}` : key),
+		// Proxied destinations are left out entirely (undefined fields are not logged)
+		host: (hostname) => (privacy ? undefined : hostname),
+		// The query string carries the /ads/proxy target
+		url: (url) => (privacy ? url.split("?")[0] : url),
+	};
+}
+
+/**
+ * Options for Fastify's `logger`.
+ * @param {object} options The `logging` section of the config.
+ * @param {ReturnType<typeof createAnonymizer>} anonymizer
+ * @returns {object}
+ */
+export function loggerOptions(options, anonymizer) {
+	return {
+		level: options.level,
+		stream: options.file ? new RotatingFileStream(options.file, options.maxSize, options.maxFiles) : process.stdout,
+		// Used when Fastify logs a failed request
+		serializers: {
+			req: (req) => ({
+				method: req.method,
+				url: anonymizer.url(req.url),
+				ip: anonymizer.ip(req.socket?.remoteAddress),
+			}),
+		},
+	};
+}
+
+/**
+ * Log one line per completed request with its status, size and duration.
+ * Register before anything that can answer in an onRequest hook (auth).
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {ReturnType<typeof createAnonymizer>} anonymizer
+ */
+export function registerAccessLog(fastify, anonymizer) {
+	fastify.decorateRequest("socketBytesAtStart", 0);
+
+	fastify.addHook("onRequest", async (req) => {
+		req.socketBytesAtStart = req.raw.socket?.bytesWritten || 0;
+	});
+
+	fastify.addHook("onResponse", async (req, reply) => {
+		// Keep-alive requests share a socket, so count what this response added
+		const written = req.raw.socket?.bytesWritten;
+		const bytes =
+			written !== undefined
+				? written - req.socketBytesAtStart
+				: Number(reply.getHeader("content-length")) || 0;
+
+		req.log.info(
+			{
+				ip: anonymizer.ip(wisp.parse_real_ip(req.headers, req.socket.remoteAddress)),
+				method: req.method,
+				url: anonymizer.url(req.url),
+				route: req.routeOptions.url,
+				status: reply.statusCode,
+				bytes,
+				durationMs: Math.round(reply.elapsedTime),
+			},
+			"request completed"
+		);
+	});
+}
@@ -0,0 +1,201 @@
+import { existsSync } from "node:fs";
+import { createHash, timingSafeEqual } from "node:crypto";
+
+// Health probes and Prometheus text-format metrics. Counters that already
+// exist elsewhere (Wisp connections and traffic) are read at scrape time
+// instead of being duplicated here.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (!entries.length) return "";
+	return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+export class Counter {
+	constructor(name, help) {
+		this.name = name;
+		this.help = help;
+		this.type = "counter";
+		// Formatted label set -> value
+		this.values = new Map();
+	}
+
+	inc(labels = {}, value = 1) {
+		const key = formatLabels(labels);
+		this.values.set(key, (this.values.get(key) || 0) + value);
+	}
+
+	samples() {
+		return Array.from(this.values, ([labels, value]) => `${this.name}${labels} ${value}`);
+	}
+}
+
+// A metric whose value is computed when scraped
+export class Collected {
+	/**
+	 * @param {string} name
+	 * @param {string} help
+	 * @param {"counter" | "gauge"} type
+	 * @param {() => number | { labels: object, value: number }[]} collect
+	 */
+	constructor(name, help, type, collect) {
+		this.name = name;
+		this.help = help;
+		this.type = type;
+		this.collect = collect;
+	}
+
+	samples() {
+		const value = this.collect();
+		const samples = typeof value === "number" ? [{ labels: {}, value }] : value;
+		return samples.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+	}
+}
+
+export class Histogram {
+	constructor(name, help, buckets = LATENCY_BUCKETS) {
+		this.name = name;
+		this.help = help;
+		this.type = "histogram";
+		this.buckets = buckets;
+		this.counts = buckets.map(() => 0);
+		this.sum = 0;
+		this.count = 0;
+	}
+
+	observe(value) {
+		for (let i = 0; i < this.buckets.length; i++) {
+			if (value <= this.buckets[i]) this.counts[i]++;
+		}
+		this.sum += value;
+		this.count++;
+	}
+
+	samples() {
+		return [
+			...this.buckets.map((bound, i) => `${this.name}_bucket{le="${bound}"} ${this.counts[i]}`),
+			`${this.name}_bucket{le="+Inf"} ${this.count}`,
+			`${this.name}_sum ${this.sum}`,
+			`${this.name}_count ${this.count}`,
+		];
+	}
+}
+
+export class MetricsRegistry {
+	constructor() {
+		this.metrics = [];
+	}
+
+	register(metric) {
+		this.metrics.push(metric);
+		return metric;
+	}
+
+	// Prometheus text exposition format 0.0.4
+	render() {
+		const lines = [];
+		for (const metric of this.metrics) {
+			lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+			lines.push(...metric.samples());
+		}
+		return `${lines.join("\n")}\n`;
+	}
+}
+
+// Everything NovaNet exports on /metrics
+export class ServerMetrics extends MetricsRegistry {
+	/**
+	 * @param {import("./wisp.js").WispServer} wispServer
+	 */
+	constructor(wispServer) {
+		super();
+		const stats = () => wispServer.stats();
+
+		this.register(
+			new Collected("novanet_wisp_connections", "Open Wisp connections", "gauge", () => stats().connections)
+		);
+		this.register(new Collected("novanet_wisp_streams", "Open Wisp streams", "gauge", () => stats().streams));
+		this.register(
+			new Collected(
+				"novanet_wisp_connections_total",
+				"Wisp connections accepted",
+				"counter",
+				() => stats().connectionsTotal
+			)
+		);
+		this.register(
+			new Collected("novanet_wisp_streams_total", "Wisp streams opened", "counter", () => stats().streamsTotal)
+		);
+		this.register(
+			new Collected(
+				"novanet_wisp_bytes_total",
+				"Wisp payload bytes; in is client to destination, out is destination to client",
+				"counter",
+				() => [
+					{ labels: { direction: "in" }, value: stats().bytesIn },
+					{ labels: { direction: "out" }, value: stats().bytesOut },
+				]
+			)
+		);
+		this.adsProxyRequests = this.register(
+			new Counter("novanet_ads_proxy_requests_total", "Requests answered by /ads/proxy, by status code")
+		);
+		this.upstreamLatency = this.register(
+			new Histogram(
+				"novanet_ads_proxy_upstream_duration_seconds",
+				"Time until /ads/proxy receives upstream response headers, redirects included"
+			)
+		);
+	}
+}
+
+function tokenMatches(header, token) {
+	if (!header?.toLowerCase().startsWith("bearer ")) return false;
+	// Hash both sides so the comparison takes the same time whatever the length
+	const digest = (value) => createHash("sha256").update(value).digest();
+	return timingSafeEqual(digest(header.slice(7).trim()), digest(token));
+}
+
+/**
+ * Add /healthz, /readyz and (when enabled) /metrics.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} options
+ * @param {ServerMetrics} options.metrics
+ * @param {object} options.config The `metrics` section of the config.
+ * @param {string[]} options.staticRoots Directories that must exist to serve the client.
+ * @param {import("./wisp.js").WispServer} options.wispServer
+ */
+export function registerHealthRoutes(fastify, { metrics, config, staticRoots, wispServer }) {
+	// Liveness: the event loop is answering
+	fastify.get("/healthz", (req, reply) => reply.header("cache-control", "no-store").send({ status: "ok" }));
+
+	// Readiness: worth sending traffic to
+	fastify.get("/readyz", (req, reply) => {
+		const checks = {
+			staticRoots: staticRoots.every((root) => existsSync(root)),
+			wisp: wispServer.accepting,
+		};
+		const ready = Object.values(checks).every(Boolean);
+		return reply
+			.code(ready ? 200 : 503)
+			.header("cache-control", "no-store")
+			.send({ status: ready ? "ok" : "unavailable", checks });
+	});
+
+	if (!config.enabled) return;
+	fastify.get("/metrics", (req, reply) => {
+		if (config.token && !tokenMatches(req.headers.authorization, config.token)) {
+			return reply.code(401).header("www-authenticate", "Bearer").type("text/plain").send("Unauthorized");
+		}
+		return reply
+			.header("cache-control", "no-store")
+			.type("text/plain; version=0.0.4; charset=utf-8")
+			.send(metrics.render());
+	});
+}
@@ -0,0 +1,241 @@
+import { readFileSync, watchFile, unwatchFile } from "node:fs";
+import { BlockList, isIP } from "node:net";
+import { lookup } from "node:dns/promises";
+
+// Admin-managed allow and deny rules shared by Wisp streams, /ads/proxy and
+// the client's address bar. Rules live in a JSON file that is re-read when it
+// changes or on SIGHUP, so blocking a site needs no restart.
+//
+// {
+//   "deny": ["ads.example.com", "*.doubleclick.net", "/^track(ing)?\\./", "10.0.0.0/8", ":25"],
+//   "allow": []
+// }
+//
+// A rule is a host, a `*` wildcard, a /regex/ (matched against the hostname),
+// an IP or CIDR range (matched against the resolved addresses), optionally
+// followed by `:port` or `:low-high`; a bare `:port` matches any host. IPv6
+// addresses take brackets when a port follows. Deny rules win; when any allow
+// rules exist, only destinations matching one of them are reachable.
+
+export class PolicyFileError extends Error {
+	constructor(path, message) {
+		super(`Could not load policy file ${path}: ${message}`);
+		this.name = "PolicyFileError";
+	}
+}
+
+// Thrown by /ads/proxy when a destination (or a redirect hop) is blocked
+export class PolicyBlockedError extends Error {
+	constructor(host) {
+		super(`${host} is blocked by policy`);
+		this.name = "PolicyBlockedError";
+		this.host = host;
+	}
+}
+
+const normalizeHost = (host) =>
+	String(host)
+		.toLowerCase()
+		.replace(/^\[|\]$/g, "")
+		.replace(/\.$/, "");
+
+function parsePorts(text, rule) {
+	const match = /^(\d+)(?:-(\d+))?$/.exec(text);
+	const low = Number(match?.[1]);
+	const high = Number(match?.[2] ?? match?.[1]);
+	if (!match || low < 1 || high > 65535 || low > high) throw new Error(`invalid port range in rule ${rule}`);
+	return [low, high];
+}
+
+/**
+ * Parse one rule string.
+ * @param {string} text
+ * @returns {object} The compiled rule; `text` is kept for logging.
+ * @throws {Error} If the rule is malformed.
+ */
+export function parseRule(text) {
+	if (typeof text !== "string" || !text.trim()) throw new Error("rules must be non-empty strings");
+	const rule = { text };
+	const value = text.trim();
+
+	if (value.startsWith("/")) {
+		const end = value.lastIndexOf("/");
+		if (end === 0) throw new Error(`unterminated regular expression in rule ${text}`);
+		try {
+			// `g` and `y` would make test() carry lastIndex from one check to the next
+			rule.regex = new RegExp(value.slice(1, end), value.slice(end + 1).replace(/[gy]/g, "") || "i");
+		} catch (err) {
+			throw new Error(`invalid regular expression in rule ${text}: ${err.message}`);
+		}
+		return rule;
+	}
+
+	// Split off the port: "[v6]:port", "host:port", ":port"; more than one colon is a bare IPv6 address
+	let host = value;
+	let ports = null;
+	const bracketed = /^\[([^\]]+)\](?::(.+))?$/.exec(value);
+	if (bracketed) {
+		host = bracketed[1];
+		ports = bracketed[2];
+	} else if (value.split(":").length === 2) {
+		[host, ports] = value.split(":");
+	}
+	if (ports !== null && ports !== undefined) rule.ports = parsePorts(ports, text);
+	host = normalizeHost(host);
+	if (!host) {
+		if (!rule.ports) throw new Error(`rule ${text} matches nothing`);
+		return rule;
+	}
+
+	const [network, prefix] = host.split("/");
+	const family = isIP(network);
+	if (family) {
+		const bits = prefix === undefined ? (family === 4 ? 32 : 128) : Number(prefix);
+		if (!Number.isInteger(bits) || bits < 0 || bits > (family === 4 ? 32 : 128)) {
+			throw new Error(`invalid prefix length in rule ${text}`);
+		}
+		rule.network = new BlockList();
+		rule.network.addSubnet(network, bits, family === 4 ? "ipv4" : "ipv6");
+		return rule;
+	}
+	if (prefix !== undefined || !/^[a-z0-9*_.-]+$/.test(host)) throw new Error(`invalid host in rule ${text}`);
+
+	const pattern = host.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+	rule.pattern = new RegExp(`^${pattern}$`);
+	return rule;
+}
+
+function ruleMatches(rule, host, port, addresses) {
+	if (rule.ports && (port < rule.ports[0] || port > rule.ports[1])) return false;
+	if (rule.regex) return rule.regex.test(host);
+	if (rule.pattern) return rule.pattern.test(host);
+	if (rule.network) {
+		return addresses.some(({ address, family }) => rule.network.check(address, family === 6 ? "ipv6" : "ipv4"));
+	}
+	// Port-only rule
+	return true;
+}
+
+export class Policy {
+	/**
+	 * @param {object} options The `policy` section of the config.
+	 * @param {import("pino").Logger} log
+	 */
+	constructor(options, log) {
+		this.options = options;
+		this.log = log;
+		this.allow = [];
+		this.deny = [];
+		this.onReload = () => this.reload();
+	}
+
+	get enabled() {
+		return Boolean(this.options.file);
+	}
+
+	// Read the policy file, throwing if it is missing or malformed
+	load() {
+		const path = this.options.file;
+		let data;
+		try {
+			data = JSON.parse(readFileSync(path, "utf8"));
+		} catch (err) {
+			throw new PolicyFileError(path, err.message);
+		}
+
+		const compile = (list, name) => {
+			if (list === undefined) return [];
+			if (!Array.isArray(list)) throw new PolicyFileError(path, `"${name}" must be a list of rules`);
+			return list.map((text) => {
+				try {
+					return parseRule(text);
+				} catch (err) {
+					throw new PolicyFileError(path, err.message);
+				}
+			});
+		};
+		const allow = compile(data.allow, "allow");
+		const deny = compile(data.deny, "deny");
+
+		this.allow = allow;
+		this.deny = deny;
+		return { allow: allow.length, deny: deny.length };
+	}
+
+	// Re-read the policy file, keeping the previous rules if it is broken
+	reload() {
+		if (!this.enabled) return;
+		try {
+			const counts = this.load();
+			this.log.info({ path: this.options.file, ...counts }, "reloaded policy file");
+		} catch (err) {
+			this.log.error({ err: err.message }, "policy file not reloaded, keeping previous rules");
+		}
+	}
+
+	start() {
+		if (!this.enabled) return;
+		this.load();
+		watchFile(this.options.file, { interval: 2000 }, this.onReload);
+	}
+
+	close() {
+		if (this.enabled) unwatchFile(this.options.file, this.onReload);
+	}
+
+	/**
+	 * Decide whether a destination may be reached.
+	 * @param {string} hostname
+	 * @param {number} port
+	 * @param {{ address: string, family: number }[]} [addresses] Already resolved addresses;
+	 *   looked up here when an IP or CIDR rule needs them.
+	 * @returns {Promise<{ allowed: boolean, rule?: string }>} `rule` is the deny rule that matched, if any.
+	 */
+	async check(hostname, port, addresses) {
+		if (!this.enabled) return { allowed: true };
+		const host = normalizeHost(hostname);
+
+		const needsAddresses = [...this.allow, ...this.deny].some((rule) => rule.network);
+		if (!addresses && needsAddresses) {
+			const family = isIP(host);
+			try {
+				addresses = family ? [{ address: host, family }] : await lookup(host, { all: true });
+			} catch {
+				addresses = [];
+			}
+		}
+		addresses ||= [];
+
+		const denied = this.deny.find((rule) => ruleMatches(rule, host, port, addresses));
+		if (denied) return { allowed: false, rule: denied.text };
+		if (this.allow.length && !this.allow.some((rule) => ruleMatches(rule, host, port, addresses))) {
+			return { allowed: false };
+		}
+		return { allowed: true };
+	}
+}
+
+// Default port for a URL, for rules with a port range
+const urlPort = (url) => Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+
+/**
+ * Add GET /policy/check?u=<url>, the verdict the address bar asks for before navigating.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {Policy} policy
+ */
+export function registerPolicyRoutes(fastify, policy) {
+	const parse = (value) => {
+		try {
+			return new URL(value);
+		} catch {
+			return null;
+		}
+	};
+
+	fastify.get("/policy/check", async (req, reply) => {
+		const url = parse(req.query?.u);
+		if (!url) return reply.code(400).send({ error: "Invalid URL" });
+		const { allowed } = await policy.check(url.hostname, urlPort(url));
+		return reply.header("cache-control", "no-store").send(allowed ? { allowed } : { allowed, host: url.hostname });
+	});
+}
@@ -0,0 +1,353 @@
+import { Readable, Transform } from "node:stream";
+import { RewritingStream } from "parse5-html-rewriting-stream";
+
+// Streaming HTML/CSS rewriting for /ads/proxy: every URL a page can load is
+// resolved against the document base and handed to `toProxyUrl`.
+
+// How far into a document to look for a <meta charset>, as browsers do
+const SNIFF_BYTES = 1024;
+
+// Attributes holding a single URL
+const URL_ATTRIBUTES = new Set([
+	"action",
+	"archive",
+	"background",
+	"cite",
+	"codebase",
+	"data",
+	"dynsrc",
+	"formaction",
+	"href",
+	"icon",
+	"longdesc",
+	"lowsrc",
+	"manifest",
+	"poster",
+	"src",
+	"xlink:href",
+]);
+// Attributes holding a srcset-style candidate list
+const SRCSET_ATTRIBUTES = new Set(["srcset", "imagesrcset"]);
+// Attributes holding space-separated URLs
+const URL_LIST_ATTRIBUTES = new Set(["ping"]);
+
+const CSS_URL = /url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^)'"\s]*))\s*\)/gi;
+const CSS_IMPORT = /@import\s+(["'])((?:(?!\1)[^\\]|\\.)*)\1/gi;
+
+function escapeAttribute(value) {
+	return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function isRewritable(value) {
+	const trimmed = value.trim();
+	return trimmed !== "" && !trimmed.startsWith("#") && !/^(data|blob|javascript|mailto|tel|about):/i.test(trimmed);
+}
+
+/**
+ * Resolve `value` against `base` and route it through the proxy.
+ * @param {string} value
+ * @param {URL} base
+ * @param {(absolute: string) => string} toProxyUrl
+ * @returns {string} The rewritten URL, or `value` unchanged if it should not be proxied.
+ */
+export function rewriteUrl(value, base, toProxyUrl) {
+	if (!isRewritable(value)) return value;
+	try {
+		return toProxyUrl(new URL(value.trim(), base).toString());
+	} catch {
+		return value;
+	}
+}
+
+export function rewriteSrcset(value, base, toProxyUrl) {
+	return value
+		.split(",")
+		.map((candidate) => {
+			const [url, ...descriptors] = candidate.trim().split(/\s+/);
+			if (!url) return candidate;
+			return [rewriteUrl(url, base, toProxyUrl), ...descriptors].join(" ");
+		})
+		.join(", ");
+}
+
+/**
+ * Rewrite url() references and @import rules in a stylesheet or style attribute.
+ * @param {string} css
+ * @param {URL} base
+ * @param {(absolute: string) => string} toProxyUrl
+ * @returns {string}
+ */
+export function rewriteCss(css, base, toProxyUrl) {
+	return css
+		.replace(CSS_URL, (match, double, single, bare) => {
+			const value = double ?? single ?? bare;
+			if (!isRewritable(value)) return match;
+			return `url("${rewriteUrl(value, base, toProxyUrl)}")`;
+		})
+		.replace(CSS_IMPORT, (match, quote, value) => `@import ${quote}${rewriteUrl(value, base, toProxyUrl)}${quote}`);
+}
+
+// `<meta http-equiv="refresh" content="5; url=...">`
+function rewriteRefresh(content, base, toProxyUrl) {
+	const match = /^(\s*[\d.]*\s*[;,]\s*(?:url\s*=\s*)?)(["']?)([^"']*)\2(.*)$/i.exec(content);
+	if (!match) return content;
+	const [, prefix, quote, url, rest] = match;
+	return `${prefix}${quote}${rewriteUrl(url, base, toProxyUrl)}${quote}${rest}`;
+}
+
+/**
+ * Extract the charset from a Content-Type header value.
+ * @param {string} contentType
+ * @returns {string | null}
+ */
+export function charsetFromContentType(contentType) {
+	const match = /charset\s*=\s*["']?([^"';\s]+)/i.exec(contentType || "");
+	return match ? match[1] : null;
+}
+
+function createDecoder(label) {
+	try {
+		return new TextDecoder(label || "utf-8");
+	} catch {
+		// Unknown label, fall back like browsers do
+		return new TextDecoder("utf-8");
+	}
+}
+
+// Decode a byte stream to strings, sniffing the charset when the header has none
+async function* decodeChunks(source, headerCharset, sniff) {
+	let decoder = headerCharset ? createDecoder(headerCharset) : null;
+	const head = [];
+	let headLength = 0;
+
+	for await (const chunk of source) {
+		if (decoder) {
+			const text = decoder.decode(chunk, { stream: true });
+			if (text) yield text;
+			continue;
+		}
+		head.push(chunk);
+		headLength += chunk.length;
+		if (headLength < SNIFF_BYTES) continue;
+
+		const bytes = Buffer.concat(head);
+		decoder = createDecoder(sniff(bytes.subarray(0, SNIFF_BYTES).toString("latin1")));
+		const text = decoder.decode(bytes, { stream: true });
+		if (text) yield text;
+	}
+
+	// Short document, sniff whatever arrived
+	if (!decoder) {
+		const bytes = Buffer.concat(head);
+		decoder = createDecoder(sniff(bytes.toString("latin1")));
+		const text = decoder.decode(bytes, { stream: true });
+		if (text) yield text;
+	}
+	const rest = decoder.decode();
+	if (rest) yield rest;
+}
+
+function sniffHtmlCharset(head) {
+	const meta =
+		/<meta[^>]+charset\s*=\s*["']?([^"'\s/>;]+)/i.exec(head) ||
+		/<meta[^>]+content\s*=\s*["'][^"']*charset\s*=\s*([^"'\s;]+)/i.exec(head);
+	return meta ? meta[1] : null;
+}
+
+function sniffCssCharset(head) {
+	const rule = /^@charset\s+"([^"]+)"/i.exec(head);
+	return rule ? rule[1] : null;
+}
+
+/**
+ * Decode an HTML or CSS body honouring the charset it declares.
+ * @param {NodeJS.ReadableStream} source Raw (already decompressed) bytes.
+ * @param {string} contentType The response Content-Type.
+ * @returns {Readable} A stream of strings.
+ */
+export function decodeText(source, contentType) {
+	const sniff = /css/i.test(contentType) ? sniffCssCharset : sniffHtmlCharset;
+	return Readable.from(decodeChunks(source, charsetFromContentType(contentType), sniff));
+}
+
+// Index just past the last `;` or `}` that is outside strings, comments and
+// url(), or 0. Stops at the first of those left open at the end of the text.
+function cssBoundary(text) {
+	let boundary = 0;
+	let quote = null;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quote) {
+			if (char === "\\") i++;
+			else if (char === quote || char === "\n") quote = null;
+		} else if (char === "\\") {
+			i++;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === "/" && text[i + 1] === "*") {
+			const end = text.indexOf("*/", i + 2);
+			if (end === -1) break;
+			i = end + 1;
+		} else if (char === "(" && /url\s*$/i.test(text.slice(Math.max(0, i - 8), i))) {
+			const start = text.slice(i + 1).search(/\S/);
+			if (start === -1) break;
+			// A quoted url() is covered by the string handling
+			const first = text[i + 1 + start];
+			if (first !== '"' && first !== "'") {
+				const end = text.indexOf(")", i + 1);
+				if (end === -1) break;
+				i = end;
+			}
+		} else if (char === ";" || char === "}") {
+			boundary = i + 1;
+		}
+	}
+	return boundary;
+}
+
+/**
+ * Streaming stylesheet rewriter. Text is held back until the last `;` or `}`
+ * outside strings, comments and url(), so a url() is never split across chunks.
+ * @param {URL} base
+ * @param {(absolute: string) => string} toProxyUrl
+ * @returns {Transform}
+ */
+export function createCssRewriter(base, toProxyUrl) {
+	let carry = "";
+	return new Transform({
+		decodeStrings: false,
+		transform(chunk, encoding, callback) {
+			const text = carry + chunk.toString();
+			const boundary = cssBoundary(text);
+			carry = text.slice(boundary);
+			callback(null, rewriteCss(text.slice(0, boundary), base, toProxyUrl));
+		},
+		flush(callback) {
+			callback(null, rewriteCss(carry, base, toProxyUrl));
+		},
+	});
+}
+
+/**
+ * Streaming HTML rewriter. Tags without URLs are passed through byte for byte.
+ * @param {URL} pageUrl The URL the document was served from.
+ * @param {(absolute: string) => string} toProxyUrl
+ * @returns {RewritingStream} A transform from strings to rewritten HTML.
+ */
+export function createHtmlRewriter(pageUrl, toProxyUrl) {
+	const rewriter = new RewritingStream();
+	let base = pageUrl;
+	// Text of the <style> element being read, so CSS is rewritten whole
+	let styleText = null;
+
+	rewriter.on("startTag", (tag, raw) => {
+		const attr = (name) => tag.attrs.find((a) => a.name === name);
+		let changed = false;
+
+		if (tag.tagName === "base") {
+			const href = attr("href");
+			if (href) {
+				try {
+					base = new URL(href.value, pageUrl);
+				} catch {
+					// keep the previous base
+				}
+				// URLs are rewritten to absolute ones, a <base> would only break them
+				tag.attrs = tag.attrs.filter((a) => a !== href);
+				changed = true;
+			}
+		}
+
+		if (tag.tagName === "meta") {
+			const httpEquiv = (attr("http-equiv")?.value || "").toLowerCase();
+			// Remove CSP meta tags
+			if (httpEquiv === "content-security-policy") return;
+			const content = attr("content");
+			if (httpEquiv === "refresh" && content) {
+				content.value = rewriteRefresh(content.value, base, toProxyUrl);
+				changed = true;
+			}
+			// The document is re-encoded as UTF-8
+			if (httpEquiv === "content-type" && content) {
+				content.value = "text/html; charset=utf-8";
+				changed = true;
+			}
+			const charset = attr("charset");
+			if (charset) {
+				charset.value = "utf-8";
+				changed = true;
+			}
+		}
+
+		// A GET form replaces the query string of its action with its own fields,
+		// so the proxy's parameters are moved into hidden inputs
+		let hiddenFields = "";
+		let getForm = null;
+		if (tag.tagName === "form") {
+			// Without an action a form submits to the page itself
+			if (!attr("action")) {
+				tag.attrs.push({ name: "action", value: pageUrl.href });
+				changed = true;
+			}
+			const method = (attr("method")?.value || "get").toLowerCase();
+			if (method !== "post" && method !== "dialog") {
+				const action = attr("action");
+				getForm = { action, original: action.value };
+			}
+		}
+
+		for (const a of tag.attrs) {
+			const name = a.name.toLowerCase();
+			if (URL_ATTRIBUTES.has(name)) {
+				a.value = rewriteUrl(a.value, base, toProxyUrl);
+				changed = true;
+			} else if (SRCSET_ATTRIBUTES.has(name)) {
+				a.value = rewriteSrcset(a.value, base, toProxyUrl);
+				changed = true;
+			} else if (URL_LIST_ATTRIBUTES.has(name)) {
+				a.value = a.value
+					.split(/\s+/)
+					.map((url) => rewriteUrl(url, base, toProxyUrl))
+					.join(" ");
+				changed = true;
+			} else if (name === "style") {
+				a.value = rewriteCss(a.value, base, toProxyUrl);
+				changed = true;
+			}
+		}
+
+		// Rewritten stylesheets and scripts no longer match their hashes
+		const integrityCount = tag.attrs.length;
+		tag.attrs = tag.attrs.filter((a) => a.name.toLowerCase() !== "integrity");
+		if (tag.attrs.length !== integrityCount) changed = true;
+
+		if (getForm && getForm.action.value !== getForm.original) {
+			const [path, query = ""] = getForm.action.value.split("?");
+			getForm.action.value = path;
+			for (const [name, value] of new URLSearchParams(query)) {
+				hiddenFields += `<input type="hidden" name="${escapeAttribute(name)}" value="${escapeAttribute(value)}">`;
+			}
+		}
+
+		if (tag.tagName === "style" && !tag.selfClosing) styleText = "";
+
+		if (changed) rewriter.emitStartTag(tag);
+		else rewriter.emitRaw(raw);
+		if (hiddenFields) rewriter.emitRaw(hiddenFields);
+	});
+
+	rewriter.on("text", (token, raw) => {
+		if (styleText !== null) styleText += raw;
+		else rewriter.emitRaw(raw);
+	});
+
+	rewriter.on("endTag", (tag, raw) => {
+		if (tag.tagName === "style" && styleText !== null) {
+			rewriter.emitRaw(rewriteCss(styleText, base, toProxyUrl));
+			styleText = null;
+		}
+		rewriter.emitRaw(raw);
+	});
+
+	return rewriter;
+}
@@ -0,0 +1,121 @@
+import { BlockList, isIP } from "node:net";
+import { lookup } from "node:dns/promises";
+
+// SSRF guard for server-side fetches: a destination is only allowed if every
+// address its hostname resolves to is a public unicast address.
+
+export class BlockedHostError extends Error {
+	constructor(hostname, address) {
+		super(`${hostname} resolves to the non-public address ${address}`);
+		this.name = "BlockedHostError";
+		this.hostname = hostname;
+		this.address = address;
+	}
+}
+
+const IPV4_RANGES = [
+	["0.0.0.0", 8], // "this" network
+	["10.0.0.0", 8], // private
+	["100.64.0.0", 10], // carrier-grade NAT
+	["127.0.0.0", 8], // loopback
+	["169.254.0.0", 16], // link-local, including cloud metadata at 169.254.169.254
+	["172.16.0.0", 12], // private
+	["192.0.0.0", 24], // IETF protocol assignments
+	["192.0.2.0", 24], // TEST-NET-1
+	["192.88.99.0", 24], // 6to4 relay anycast
+	["192.168.0.0", 16], // private
+	["198.18.0.0", 15], // benchmarking
+	["198.51.100.0", 24], // TEST-NET-2
+	["203.0.113.0", 24], // TEST-NET-3
+	["224.0.0.0", 4], // multicast
+	["240.0.0.0", 4], // reserved and broadcast
+];
+
+const IPV6_RANGES = [
+	["::", 128], // unspecified
+	["::1", 128], // loopback
+	["100::", 64], // discard-only
+	["2001::", 23], // IETF protocol assignments
+	["2001:db8::", 32], // documentation
+	["fc00::", 7], // unique local, including AWS metadata at fd00:ec2::254
+	["fe80::", 10], // link-local
+	["fec0::", 10], // site-local (deprecated)
+	["ff00::", 8], // multicast
+];
+
+const blockList = new BlockList();
+for (const [network, prefix] of IPV4_RANGES) blockList.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of IPV6_RANGES) blockList.addSubnet(network, prefix, "ipv6");
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups.
+ * @param {string} address
+ * @returns {number[]}
+ */
+export function ipv6Groups(address) {
+	let text = address;
+	// A trailing dotted quad counts as two groups
+	const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+	if (quad) {
+		const [a, b, c, d] = quad.slice(1).map(Number);
+		text = text.slice(0, quad.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+	}
+	const [head, tail] = text.split("::");
+	const headGroups = head ? head.split(":") : [];
+	const tailGroups = tail !== undefined && tail ? tail.split(":") : [];
+	const fill = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+	return [...headGroups, ...Array(fill).fill("0"), ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+function groupsToIPv4(high, low) {
+	return `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+}
+
+// IPv4 address tunnelled inside an IPv6 one (mapped, compatible, NAT64, 6to4)
+function embeddedIPv4(address) {
+	const g = ipv6Groups(address);
+	const zeroPrefix = g.slice(0, 5).every((group) => group === 0);
+	if (zeroPrefix && (g[5] === 0xffff || g[5] === 0)) return groupsToIPv4(g[6], g[7]);
+	if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every((group) => group === 0))
+		return groupsToIPv4(g[6], g[7]);
+	if (g[0] === 0x2002) return groupsToIPv4(g[1], g[2]);
+	return null;
+}
+
+/**
+ * Whether an address is loopback, private, link-local, reserved or otherwise non-public.
+ * Anything that is not a valid IP address is treated as blocked.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+	// Drop an IPv6 zone index such as fe80::1%eth0
+	const ip = address.split("%")[0];
+	const family = isIP(ip);
+	if (family === 4) return blockList.check(ip, "ipv4");
+	if (family !== 6) return true;
+
+	const ipv4 = embeddedIPv4(ip);
+	if (ipv4 && ipv4 !== "0.0.0.0" && blockList.check(ipv4, "ipv4")) return true;
+	return blockList.check(ip, "ipv6");
+}
+
+/**
+ * Resolve a hostname and check every address it maps to.
+ * @param {string} hostname URL hostname, IPv6 literals may keep their brackets.
+ * @returns {Promise<{ address: string, family: number }>} The vetted address to connect to.
+ * @throws {BlockedHostError} If any resolved address is not public.
+ */
+export async function resolvePublicAddress(hostname) {
+	const host = hostname.replace(/^\[|\]$/g, "");
+	const family = isIP(host);
+	const addresses = family
+		? [{ address: host, family }]
+		: await lookup(host, { all: true, verbatim: true });
+
+	// One bad record is enough: the OS may pick it on the next connect
+	const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+	if (blocked) throw new BlockedHostError(host, blocked.address);
+	if (!addresses.length) throw new Error(`${host} did not resolve to any address`);
+	return addresses[0];
+}
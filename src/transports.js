@@ -0,0 +1,28 @@
+// The bare-mux transports the client can pick from in Settings. Each one is a
+// module served from its own mount; GET /transports tells the client where they
+// are, which one to start with and which Wisp backends it may use. The client
+// probes the backends, takes the fastest and fails over to the next when it drops.
+
+/**
+ * Add GET /transports.
+ * @param {import("fastify").FastifyInstance} fastify
+ * @param {object} config The whole config.
+ */
+export function registerTransportRoutes(fastify, config) {
+	const { mounts } = config.static;
+	const body = {
+		default: config.transports.default,
+		wispServers: config.transports.wispServers?.length ? config.transports.wispServers : [config.wisp.path],
+		bareServer: config.transports.bareServer,
+		transports: {
+			epoxy: `${mounts.epoxy}index.mjs`,
+			libcurl: `${mounts.libcurl}index.mjs`,
+			bare: `${mounts.baremod}index.mjs`,
+		},
+	};
+
+	fastify.get("/transports", async (req, reply) => {
+		reply.header("cache-control", "no-store");
+		return body;
+	});
+}
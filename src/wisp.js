@@ -0,0 +1,326 @@
+import { WebSocketServer } from "ws";
+import { server as wisp, packet } from "@mercuryworkshop/wisp-js/server";
+
+// Wisp connections are accepted here instead of through wisp.routeRequest so
+// that every connection and stream can be tracked and limited per client.
+
+let nextConnectionId = 1;
+
+// While draining, a stream without traffic for this long counts as finished
+const DRAIN_IDLE_MS = 2000;
+const DRAIN_POLL_MS = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wrap a wisp-js socket class to count traffic and apply the bandwidth ceiling.
+// bytesIn is client -> destination, bytesOut is destination -> client.
+function meteredSocket(BaseSocket, record, limiter) {
+	return class MeteredSocket extends BaseSocket {
+		constructor(...args) {
+			super(...args);
+			this.activeAt = Date.now();
+		}
+
+		async recv() {
+			const data = await super.recv();
+			if (data) {
+				this.activeAt = Date.now();
+				record.bytesOut += data.length;
+				await limiter.throttle(record.client, data.length);
+			}
+			return data;
+		}
+
+		async send(data) {
+			this.activeAt = Date.now();
+			record.bytesIn += data.length;
+			await limiter.throttle(record.client, data.length);
+			return super.send(data);
+		}
+	};
+}
+
+// Send a wisp-js TCP socket through the egress proxies. This mirrors
+// NodeTCPSocket.connect, which creates its net.Socket inline.
+function egressSocket(BaseSocket, record, egress) {
+	return class EgressSocket extends BaseSocket {
+		async connect() {
+			const socket = await egress.connect(this.hostname, this.port, record.client);
+			socket.setNoDelay(true);
+			socket.on("data", (data) => this.data_queue.put(data));
+			socket.on("close", () => {
+				this.data_queue.close();
+				this.socket = null;
+			});
+			// Reported through "close"
+			socket.on("error", () => {});
+			socket.on("end", () => {
+				if (!this.socket) return;
+				this.socket.destroy();
+				this.socket = null;
+			});
+			this.socket = socket;
+			this.connected = true;
+			socket.resume();
+		}
+	};
+}
+
+export class WispServer {
+	/**
+	 * @param {object} options
+	 * @param {import("./limits.js").ClientLimiter} options.limiter
+	 * @param {import("pino").Logger} options.log
+	 * @param {ReturnType<import("./logging.js").createAnonymizer>} options.anonymizer
+	 * @param {import("./egress.js").EgressPool} options.egress
+	 * @param {import("./policy.js").Policy} options.policy
+	 * @param {import("./admin.js").BanList} options.bans
+	 */
+	constructor({ limiter, log, anonymizer, egress, policy, bans }) {
+		this.limiter = limiter;
+		this.bans = bans;
+		this.egress = egress;
+		this.policy = policy;
+		this.log = log;
+		this.anonymizer = anonymizer;
+		this.wss = new WebSocketServer({ noServer: true });
+		this.connections = new Set();
+		// Cleared when the server is shutting down
+		this.accepting = true;
+		// Totals from connections that have already closed
+		this.closed = { connections: 0, streams: 0, bytesIn: 0, bytesOut: 0 };
+	}
+
+	// Counters for /metrics, covering open and closed connections
+	stats() {
+		const stats = {
+			connections: this.connections.size,
+			streams: 0,
+			connectionsTotal: this.closed.connections + this.connections.size,
+			streamsTotal: this.closed.streams,
+			bytesIn: this.closed.bytesIn,
+			bytesOut: this.closed.bytesOut,
+		};
+		for (const record of this.connections) {
+			stats.streams += Object.keys(record.conn.streams).length;
+			stats.streamsTotal += record.streams;
+			stats.bytesIn += record.bytesIn;
+			stats.bytesOut += record.bytesOut;
+		}
+		return stats;
+	}
+
+	/**
+	 * Accept a WebSocket upgrade for the Wisp endpoint.
+	 * @param {import("node:http").IncomingMessage} req
+	 * @param {import("node:stream").Duplex} socket
+	 * @param {Buffer} head
+	 * @param {{ type: string, name: string } | null} identity The authenticated client, if any.
+	 */
+	handleUpgrade(req, socket, head, identity) {
+		const ip = wisp.parse_real_ip(req.headers, req.socket.remoteAddress);
+		const client = this.limiter.clientKey(identity, ip);
+
+		if (this.bans.has(ip)) {
+			socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+			return;
+		}
+		if (!this.accepting) {
+			socket.end("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+			return;
+		}
+		if (!this.limiter.acquireConnection(client)) {
+			socket.end("HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+			return;
+		}
+		// The slot lives as long as the TCP socket, whether or not the handshake succeeds
+		socket.once("close", () => this.limiter.releaseConnection(client));
+
+		this.wss.handleUpgrade(req, socket, head, (ws) => {
+			this.run(ws, req.url, { id: nextConnectionId++, client, ip });
+		});
+	}
+
+	/**
+	 * Stop accepting connections and streams, give open streams up to `timeoutMs`
+	 * to go quiet, then close them and every connection.
+	 * @param {number} timeoutMs
+	 */
+	async drain(timeoutMs) {
+		this.accepting = false;
+		const deadline = Date.now() + timeoutMs;
+
+		// Browsers keep idle pooled streams open, so wait for traffic to stop, not for streams to close
+		const busy = () =>
+			Array.from(this.connections).some((record) =>
+				Object.values(record.conn.streams).some((stream) => Date.now() - stream.socket.activeAt < DRAIN_IDLE_MS)
+			);
+		while (busy() && Date.now() < deadline) await sleep(DRAIN_POLL_MS);
+
+		const timedOut = Date.now() >= deadline;
+		this.log.info({ connections: this.connections.size, timedOut }, "closing wisp connections");
+		// Streams cut off mid-transfer report a network error so clients retry them
+		const reason = timedOut ? packet.close_reasons.NetworkError : packet.close_reasons.Voluntary;
+		for (const record of this.connections) await this.closeConnection(record, reason, 1001, "Server shutting down");
+
+		// Let the close frames go out before the process exits
+		const closeBy = Date.now() + 1000;
+		while (this.connections.size && Date.now() < closeBy) await sleep(50);
+	}
+
+	// Close every stream with `reason`, then the WebSocket
+	async closeConnection(record, reason, code, message) {
+		await Promise.all(
+			Object.keys(record.conn.streams).map((id) => record.conn.close_stream(Number(id), reason).catch(() => {}))
+		);
+		record.ws.close(code, message);
+	}
+
+	/**
+	 * Open connections for the admin dashboard, newest first.
+	 * @returns {object[]}
+	 */
+	listConnections() {
+		return Array.from(this.connections, (record) => ({
+			id: record.id,
+			client: this.anonymizer.client(record.client),
+			ip: this.anonymizer.ip(record.ip),
+			streams: Object.keys(record.conn.streams).length,
+			streamsTotal: record.streams,
+			bytesIn: record.bytesIn,
+			bytesOut: record.bytesOut,
+			durationMs: Date.now() - record.openedAt,
+		})).reverse();
+	}
+
+	/**
+	 * Close one connection.
+	 * @param {number} id
+	 * @returns {boolean} Whether the connection existed.
+	 */
+	kick(id) {
+		const record = Array.from(this.connections).find((candidate) => candidate.id === id);
+		if (!record) return false;
+		this.log.info({ conn: id }, "wisp connection closed by administrator");
+		this.closeConnection(record, packet.close_reasons.Voluntary, 1008, "Closed by administrator");
+		return true;
+	}
+
+	/**
+	 * Close every connection from an IP address.
+	 * @param {string} ip
+	 * @returns {number} How many connections were closed.
+	 */
+	kickIp(ip) {
+		const records = Array.from(this.connections).filter((record) => record.ip === ip);
+		for (const record of records) this.kick(record.id);
+		return records.length;
+	}
+
+	/**
+	 * The client IP behind a connection, for banning it.
+	 * @param {number} id
+	 * @returns {string | undefined}
+	 */
+	ipOf(id) {
+		return Array.from(this.connections).find((record) => record.id === id)?.ip;
+	}
+
+	async run(ws, path, info) {
+		const conn = new wisp.ServerConnection(ws, path);
+		const record = { ...info, conn, ws, openedAt: Date.now(), bytesIn: 0, bytesOut: 0, streams: 0 };
+		this.instrument(conn, record);
+		this.connections.add(record);
+		this.log.info(
+			{ conn: record.id, client: this.anonymizer.client(record.client), ip: this.anonymizer.ip(record.ip) },
+			"wisp connection opened"
+		);
+
+		try {
+			await conn.setup();
+			await conn.run();
+		} catch (err) {
+			ws.close();
+			this.log.error({ conn: record.id, err }, "wisp connection failed");
+		} finally {
+			this.connections.delete(record);
+			this.closed.connections++;
+			this.closed.streams += record.streams;
+			this.closed.bytesIn += record.bytesIn;
+			this.closed.bytesOut += record.bytesOut;
+			this.log.info(
+				{
+					conn: record.id,
+					durationMs: Date.now() - record.openedAt,
+					streams: record.streams,
+					bytesIn: record.bytesIn,
+					bytesOut: record.bytesOut,
+				},
+				"wisp connection closed"
+			);
+		}
+	}
+
+	instrument(conn, record) {
+		// wisp-js only exposes its default socket classes through the connection
+		const TCPSocket = this.egress.enabled ? egressSocket(conn.TCPSocket, record, this.egress) : conn.TCPSocket;
+		conn.TCPSocket = meteredSocket(TCPSocket, record, this.limiter);
+		conn.UDPSocket = meteredSocket(conn.UDPSocket, record, this.limiter);
+
+		const createStream = conn.create_stream.bind(conn);
+		conn.create_stream = (streamId, type, hostname, port) => {
+			const event = {
+				conn: record.id,
+				stream: streamId,
+				type: type === packet.stream_types.UDP ? "udp" : "tcp",
+				host: this.anonymizer.host(hostname),
+				port,
+			};
+			if (!this.accepting) {
+				this.log.info(event, "wisp stream refused: shutting down");
+				return this.refuseStream(conn, streamId, packet.close_reasons.NetworkError);
+			}
+			// Proxies only carry TCP, and sending UDP around them would leak the server's address
+			if (type === packet.stream_types.UDP && this.egress.enabled) {
+				this.log.info(event, "wisp stream refused: UDP cannot use the egress proxies");
+				return this.refuseStream(conn, streamId, packet.close_reasons.HostBlocked);
+			}
+			if (!this.limiter.allowStream(record.client, Object.keys(conn.streams).length)) {
+				this.log.warn(event, "wisp stream refused: stream limit reached");
+				return this.refuseStream(conn, streamId, packet.close_reasons.ConnThrottled);
+			}
+			record.streams++;
+			this.log.info(event, "wisp stream opened");
+			createStream(streamId, type, hostname, port);
+
+			// The verdict may need DNS, so it runs where wisp-js connects the stream
+			// in the background; packets sent meanwhile are queued as usual
+			const stream = conn.streams[streamId];
+			const setup = stream.setup.bind(stream);
+			stream.setup = async () => {
+				const { allowed, rule } = await this.policy.check(hostname, port);
+				if (allowed) return setup();
+				this.log.info({ ...event, rule }, "wisp stream refused: blocked by policy");
+				// Close with the real reason before wisp-js reports a generic network error
+				await conn.close_stream(streamId, packet.close_reasons.HostBlocked);
+				throw new Error("blocked by policy");
+			};
+		};
+
+		const closeStream = conn.close_stream.bind(conn);
+		conn.close_stream = (streamId, reason, quiet) => {
+			if (conn.streams[streamId]) this.log.debug({ conn: record.id, stream: streamId, reason }, "wisp stream closed");
+			return closeStream(streamId, reason, quiet);
+		};
+	}
+
+	// Close a stream the client asked for without ever opening it
+	refuseStream(conn, streamId, reason) {
+		const close = new packet.WispPacket({
+			type: packet.ClosePayload.type,
+			stream_id: streamId,
+			payload: new packet.ClosePayload({ reason }),
+		});
+		conn.ws.send(close.serialize().bytes).catch(() => {});
+	}
+}
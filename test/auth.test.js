@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Fastify from "fastify";
+
+import { AccessControl, hashPassword, hashToken, parseCookies, registerAuth, safeNext } from "../src/auth.js";
+
+async function accessControl() {
+	const usersFile = join(mkdtempSync(join(tmpdir(), "novanet-auth-")), "users.json");
+	writeFileSync(
+		usersFile,
+		JSON.stringify({
+			users: [{ username: "alice", password: await hashPassword("secret") }],
+			tokens: [{ name: "ci", hash: hashToken("ci-token") }],
+		})
+	);
+	const access = new AccessControl({ enabled: true, usersFile, sessionTtl: 60, secureCookies: false });
+	access.load();
+	return access;
+}
+
+test("parseCookies decodes values and splits on the first =", () => {
+	assert.deepEqual(parseCookies("a=1; b=x%20y; c=d=e"), { a: "1", b: "x y", c: "d=e" });
+	assert.deepEqual(parseCookies(undefined), {});
+	assert.deepEqual(parseCookies("novalue; =orphan"), {});
+});
+
+test("parseCookies keeps malformed percent-encoding raw instead of throwing", () => {
+	assert.deepEqual(parseCookies("a=%E0%A4%A; b=ok"), { a: "%E0%A4%A", b: "ok" });
+});
+
+test("identify accepts sessions and bearer tokens", async () => {
+	const access = await accessControl();
+	const session = await access.login("alice", "secret");
+	assert.deepEqual(access.identify({ cookie: `novanet_session=${session}` }), { type: "session", name: "alice" });
+	assert.deepEqual(access.identify({ authorization: "Bearer ci-token" }), { type: "token", name: "ci" });
+	assert.equal(access.identify({ authorization: "Bearer wrong" }), null);
+	assert.equal(await access.login("alice", "wrong"), null);
+});
+
+test("a malformed cookie is rejected with 401, not a server error", async () => {
+	const access = await accessControl();
+	assert.equal(access.identify({ cookie: "novanet_session=%E0%A4%A" }), null);
+
+	const fastify = Fastify();
+	registerAuth(fastify, access);
+	fastify.get("/api", async () => "ok");
+	const res = await fastify.inject({ url: "/api", headers: { cookie: "a=%E0%A4%A" } });
+	assert.equal(res.statusCode, 401);
+	await fastify.close();
+});
+
+test("failed logins are throttled per IP and per username", async () => {
+	const access = await accessControl();
+	const fastify = Fastify();
+	registerAuth(fastify, access);
+
+	const attempt = (username, password) =>
+		fastify.inject({
+			method: "POST",
+			url: "/login",
+			headers: { "content-type": "application/x-www-form-urlencoded" },
+			payload: new URLSearchParams({ username, password }).toString(),
+		});
+
+	for (let i = 0; i < 10; i++) {
+		assert.match((await attempt("alice", "wrong")).headers.location, /error=1/);
+	}
+	const throttled = await attempt("alice", "secret");
+	assert.match(throttled.headers.location, /error=throttled/);
+	assert.ok(Number(throttled.headers["retry-after"]) > 0);
+	// The IP is throttled too, whatever the username
+	assert.match((await attempt("bob", "secret")).headers.location, /error=throttled/);
+	await fastify.close();
+});
+
+test("safeNext keeps redirects on this origin", () => {
+	assert.equal(safeNext("/search?q=1#top"), "/search?q=1#top");
+	assert.equal(safeNext("/%5Cevil.com"), "/%5Cevil.com");
+	for (const next of ["//evil.com", "/\\evil.com", "/\\/evil.com", "/\t/evil.com", "https://evil.com", "evil.com", undefined]) {
+		assert.equal(safeNext(next), "/", String(next));
+	}
+});
+
+test("logging in never redirects off this origin", async () => {
+	const access = await accessControl();
+	const fastify = Fastify();
+	registerAuth(fastify, access);
+
+	// Form-encoded, /%5C arrives decoded as /\
+	for (const next of ["/\\evil.com", "//evil.com"]) {
+		const res = await fastify.inject({
+			method: "POST",
+			url: "/login",
+			headers: { "content-type": "application/x-www-form-urlencoded" },
+			payload: `username=alice&password=secret&next=${encodeURIComponent(next)}`,
+		});
+		assert.equal(res.headers.location, "/");
+	}
+	await fastify.close();
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { ConfigError, loadConfig } from "../src/config.js";
+
+function tempDir() {
+	return mkdtempSync(join(tmpdir(), "novanet-config-"));
+}
+
+test("defaults apply without a file or environment", () => {
+	const { config, source } = loadConfig({ env: {}, cwd: tempDir() });
+	assert.equal(source, null);
+	assert.equal(config.server.port, 8080);
+	assert.equal(config.auth.enabled, false);
+});
+
+test("environment overrides the file", () => {
+	const cwd = tempDir();
+	writeFileSync(join(cwd, "novanet.config.json"), JSON.stringify({ server: { port: 9000 } }));
+	assert.equal(loadConfig({ env: {}, cwd }).config.server.port, 9000);
+	assert.equal(loadConfig({ env: { NOVANET_PORT: "9001" }, cwd }).config.server.port, 9001);
+});
+
+test("YAML files are read", () => {
+	const cwd = tempDir();
+	writeFileSync(join(cwd, "novanet.config.yaml"), "server:\n  host: 127.0.0.1\n");
+	assert.equal(loadConfig({ env: {}, cwd }).config.server.host, "127.0.0.1");
+});
+
+test("invalid values and unknown keys are all reported", () => {
+	const cwd = tempDir();
+	writeFileSync(join(cwd, "novanet.config.json"), JSON.stringify({ server: { port: 70000, colour: "red" } }));
+	assert.throws(
+		() => loadConfig({ env: { NOVANET_TLS_ENABLED: "maybe" }, cwd }),
+		(err) =>
+			err instanceof ConfigError &&
+			err.problems.length === 3 &&
+			err.problems.some((problem) => problem.startsWith("server.port must be a port number")) &&
+			err.problems.some((problem) => problem.startsWith("server.colour is not a known option")) &&
+			err.problems.some((problem) => problem.includes("(from NOVANET_TLS_ENABLED)"))
+	);
+});
+
+test("unparseable files are rejected", () => {
+	const cwd = tempDir();
+	writeFileSync(join(cwd, "novanet.config.json"), "{ nope");
+	assert.throws(() => loadConfig({ env: {}, cwd }), ConfigError);
+});
+
+test("cross-field checks run", () => {
+	const cwd = tempDir();
+	assert.throws(() => loadConfig({ env: { NOVANET_TLS_CERT: "cert.pem" }, cwd }), /tls.cert and tls.key must be set together/);
+	assert.throws(
+		() => loadConfig({ env: { NOVANET_BARE_SERVER: "ftp://example.com/" }, cwd }),
+		/transports.bareServer must be an http\(s\) URL/
+	);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CookieJar, CookieJars, parseSetCookie } from "../src/cookie-jar.js";
+
+const page = new URL("https://www.example.com/shop/cart");
+
+test("parseSetCookie applies Domain, Path, Max-Age and Secure", () => {
+	const cookie = parseSetCookie("id=a=b; Domain=.example.com; Path=/shop; Max-Age=60; Secure", page);
+	assert.equal(cookie.value, "a=b");
+	assert.equal(cookie.domain, "example.com");
+	assert.equal(cookie.hostOnly, false);
+	assert.equal(cookie.path, "/shop");
+	assert.ok(cookie.expiresAt > Date.now());
+	assert.equal(parseSetCookie("id=1", page).path, "/shop");
+});
+
+test("parseSetCookie rejects other sites, bare TLDs and insecure Secure cookies", () => {
+	assert.equal(parseSetCookie("id=1; Domain=evil.com", page), null);
+	assert.equal(parseSetCookie("id=1; Domain=com", page), null);
+	assert.equal(parseSetCookie("id=1; Secure", new URL("http://www.example.com/")), null);
+});
+
+test("cookieHeader follows domain, path, host-only and secure rules", () => {
+	const jar = new CookieJar();
+	jar.store(page, ["host=1; Path=/", "wide=2; Domain=example.com; Path=/", "deep=3; Path=/shop/cart", "sec=4; Secure; Path=/"]);
+
+	// Longest path first; the rest were created in the same instant
+	const header = jar.cookieHeader(new URL("https://www.example.com/shop/cart/item")).split("; ");
+	assert.equal(header[0], "deep=3");
+	assert.deepEqual(header.slice(1).sort(), ["host=1", "sec=4", "wide=2"]);
+	assert.equal(jar.cookieHeader(new URL("https://api.example.com/")), "wide=2");
+	assert.equal(jar.cookieHeader(new URL("http://www.example.com/shopping")), "host=1; wide=2");
+});
+
+test("an expiry in the past deletes the cookie", () => {
+	const jar = new CookieJar();
+	jar.store(page, ["id=1; Path=/"]);
+	jar.store(page, ["id=1; Path=/; Max-Age=0"]);
+	assert.equal(jar.cookieHeader(page), "");
+	assert.equal(jar.size, 0);
+});
+
+function fakeExchange(cookie) {
+	const headers = {};
+	return {
+		req: { headers: cookie ? { cookie } : {}, protocol: "https" },
+		reply: { header: (name, value) => (headers[name] = value) },
+		headers,
+	};
+}
+
+test("jars are only kept once upstream sets a cookie", () => {
+	const jars = new CookieJars({ cookies: true, cookieJarTtl: 3600 });
+
+	const quiet = fakeExchange();
+	jars.jarFor(quiet.req, quiet.reply).store(page, undefined);
+	assert.equal(jars.jars.size, 0);
+	assert.equal(quiet.headers["set-cookie"], undefined);
+
+	const chatty = fakeExchange();
+	const jar = jars.jarFor(chatty.req, chatty.reply);
+	jar.store(page, ["id=1"]);
+	assert.equal(jars.jars.size, 1);
+	const id = /novanet_ads_jar=([^;]+)/.exec(chatty.headers["set-cookie"])[1];
+
+	const again = fakeExchange(`novanet_ads_jar=${id}`);
+	assert.equal(jars.jarFor(again.req, again.reply), jar);
+});
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BlockedHostError } from "../src/ssrf.js";
+import { classifyError, renderErrorPage } from "../src/error-pages.js";
+
+test("renderErrorPage escapes the URL and links the favicon", () => {
+	const { status, html } = renderErrorPage("timeout", { url: 'https://example.com/"><script>' });
+	assert.equal(status, 504);
+	assert.match(html, /<link rel="shortcut icon" href="\/favicon.ico" \/>/);
+	assert.ok(!html.includes('"><script>'));
+});
+
+test("classifyError maps error codes to pages", () => {
+	assert.equal(classifyError(Object.assign(new Error(), { code: "ENOTFOUND" })), "dnsFailure");
+	assert.equal(classifyError(Object.assign(new Error(), { code: "ECONNREFUSED" })), "connectionRefused");
+	assert.equal(classifyError(new BlockedHostError("intranet.example", "10.0.0.1")), "forbiddenHost");
+	assert.equal(classifyError(new Error("boom")), "proxyError");
+});
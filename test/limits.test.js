@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ClientLimiter, TokenBucket } from "../src/limits.js";
+
+test("a bucket is idle only once it is full and unused for ten minutes", (t) => {
+	t.mock.timers.enable({ apis: ["Date"] });
+	const bucket = new TokenBucket(1, 10);
+	assert.equal(bucket.tryTake(5), true);
+	t.mock.timers.tick(60 * 1000);
+	assert.equal(bucket.isIdle(), false);
+	t.mock.timers.tick(10 * 60 * 1000);
+	assert.equal(bucket.isIdle(), true);
+});
+
+test("idle buckets are dropped even with rate limit logging off", (t) => {
+	t.mock.timers.enable({ apis: ["Date", "setInterval"] });
+	const limiter = new ClientLimiter({ adsProxyRequestsPerMinute: 60, bandwidthBytesPerSecond: 1000, logInterval: 0 });
+	limiter.startReporting();
+	assert.equal(limiter.allowRequest("ip:192.0.2.1"), 0);
+	limiter.throttle("ip:192.0.2.1", 10);
+	assert.equal(limiter.requestBuckets.size, 1);
+	assert.equal(limiter.bandwidthBuckets.size, 1);
+
+	t.mock.timers.tick(5 * 60 * 1000);
+	assert.equal(limiter.requestBuckets.size, 1);
+	t.mock.timers.tick(6 * 60 * 1000);
+	assert.equal(limiter.requestBuckets.size, 0);
+	assert.equal(limiter.bandwidthBuckets.size, 0);
+	limiter.stopReporting();
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseRule } from "../src/policy.js";
+
+test("regex rules default to case-insensitive", () => {
+	assert.equal(parseRule("/^example\\.com$/").regex.flags, "i");
+	assert.equal(parseRule("/^example\\.com$/s").regex.flags, "s");
+});
+
+test("regex rules drop g and y so repeated checks agree", () => {
+	const { regex } = parseRule("/example/gy");
+	assert.equal(regex.flags, "i");
+	for (let i = 0; i < 3; i++) assert.equal(regex.test("example.com"), true);
+	assert.equal(parseRule("/example/gi").regex.flags, "i");
+});
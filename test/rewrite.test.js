@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+
+import {
+	charsetFromContentType,
+	createCssRewriter,
+	createHtmlRewriter,
+	decodeText,
+	rewriteCss,
+	rewriteSrcset,
+	rewriteUrl,
+} from "../src/rewrite.js";
+
+const base = new URL("https://example.com/dir/page.html");
+const proxy = (absolute) => `/ads/proxy?u=${encodeURIComponent(absolute)}`;
+
+async function collect(stream) {
+	let out = "";
+	for await (const chunk of stream) out += chunk.toString();
+	return out;
+}
+
+async function rewriteHtml(html, chunkSize = html.length) {
+	const chunks = [];
+	for (let i = 0; i < html.length; i += chunkSize) chunks.push(html.slice(i, i + chunkSize));
+	return collect(Readable.from(chunks).pipe(createHtmlRewriter(base, proxy)));
+}
+
+test("rewriteUrl resolves relative URLs and leaves special schemes alone", () => {
+	assert.equal(rewriteUrl("img/a.png", base, proxy), proxy("https://example.com/dir/img/a.png"));
+	assert.equal(rewriteUrl("//cdn.example.net/x.js", base, proxy), proxy("https://cdn.example.net/x.js"));
+	for (const value of ["#top", "data:text/plain,hi", "javascript:void(0)", "mailto:a@example.com", ""]) {
+		assert.equal(rewriteUrl(value, base, proxy), value);
+	}
+});
+
+test("rewriteSrcset keeps descriptors", () => {
+	assert.equal(
+		rewriteSrcset("a.png 1x, /b.png 2x", base, proxy),
+		`${proxy("https://example.com/dir/a.png")} 1x, ${proxy("https://example.com/b.png")} 2x`
+	);
+});
+
+test("rewriteCss handles quoted and bare url() and @import", () => {
+	const css = `a{background:url(bg.png)} b{background:url('/x.png')} @import "theme.css"; c{background:url(data:image/png;base64,AA)}`;
+	const out = rewriteCss(css, base, proxy);
+	assert.ok(out.includes(`url("${proxy("https://example.com/dir/bg.png")}")`));
+	assert.ok(out.includes(`url("${proxy("https://example.com/x.png")}")`));
+	assert.ok(out.includes(`@import "${proxy("https://example.com/dir/theme.css")}"`));
+	assert.ok(out.includes("url(data:image/png;base64,AA)"));
+});
+
+test("the CSS stream never splits a url() across chunks", async () => {
+	const css = "a{background:url(one.png)} b{background:url(two.png)}";
+	const chunks = css.match(/.{1,7}/g);
+	const out = await collect(Readable.from(chunks).pipe(createCssRewriter(base, proxy)));
+	assert.equal(out, rewriteCss(css, base, proxy));
+});
+
+test("the CSS stream holds back url(), strings and comments left open at a chunk end", async () => {
+	const cases = [
+		['a{background:url("a;', 'b.png")}'],
+		["a{background:url(a;", "b.png)}"],
+		["a{background:url(  ", "'c}d.png')}"],
+		['a{content:"x;y}', '"} b{background:url(e.png)}'],
+		["/* ; url(f.png) } */ a{background:url(", "g.png)}"],
+	];
+	for (const chunks of cases) {
+		const out = await collect(Readable.from(chunks).pipe(createCssRewriter(base, proxy)));
+		assert.equal(out, rewriteCss(chunks.join(""), base, proxy), chunks.join(""));
+	}
+	const out = await collect(Readable.from(cases[0]).pipe(createCssRewriter(base, proxy)));
+	assert.ok(out.includes(`url("${proxy("https://example.com/dir/a;b.png")}")`));
+});
+
+test("HTML attributes are rewritten, <base href> is honoured and CSP meta tags dropped", async () => {
+	const html =
+		'<meta http-equiv="Content-Security-Policy" content="default-src none">' +
+		'<base href="https://static.example.org/assets/">' +
+		'<img src="a.png" srcset="b.png 2x"><a href="#top">top</a>';
+	const out = await rewriteHtml(html, 9);
+	assert.ok(!/Content-Security-Policy/i.test(out));
+	assert.ok(!out.includes("static.example.org/assets/\""));
+	assert.ok(out.includes(`src="${proxy("https://static.example.org/assets/a.png")}"`));
+	assert.ok(out.includes(`${proxy("https://static.example.org/assets/b.png")} 2x`));
+	assert.ok(out.includes('href="#top"'));
+});
+
+test("inline styles and <style> elements are rewritten", async () => {
+	const out = await rewriteHtml('<div style="background:url(x.png)"></div><style>p{background:url(y.png)}</style>', 5);
+	assert.ok(out.includes(proxy("https://example.com/dir/x.png").replace(/&/g, "&amp;")));
+	assert.ok(out.includes(proxy("https://example.com/dir/y.png")));
+});
+
+test("charsets come from the header or the document", async () => {
+	assert.equal(charsetFromContentType('text/html; charset="ISO-8859-1"'), "ISO-8859-1");
+	assert.equal(charsetFromContentType("text/html"), null);
+
+	const latin1 = Buffer.from('<meta charset="windows-1252"><p>caf\xe9</p>', "latin1");
+	const out = await collect(decodeText(Readable.from([latin1]), "text/html"));
+	assert.ok(out.includes("café"));
+});
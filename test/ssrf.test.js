@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BlockedHostError, ipv6Groups, isBlockedAddress, resolvePublicAddress } from "../src/ssrf.js";
+
+test("ipv6Groups expands :: and trailing dotted quads", () => {
+	assert.deepEqual(ipv6Groups("2001:db8::1"), [0x2001, 0xdb8, 0, 0, 0, 0, 0, 1]);
+	assert.deepEqual(ipv6Groups("::ffff:127.0.0.1"), [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]);
+	assert.deepEqual(ipv6Groups("::"), [0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+test("private, loopback, link-local and reserved IPv4 ranges are blocked", () => {
+	for (const address of ["127.0.0.1", "10.1.2.3", "172.31.255.255", "192.168.0.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "255.255.255.255"]) {
+		assert.equal(isBlockedAddress(address), true, address);
+	}
+	for (const address of ["8.8.8.8", "172.32.0.1", "1.1.1.1"]) {
+		assert.equal(isBlockedAddress(address), false, address);
+	}
+});
+
+test("IPv6 ranges are blocked", () => {
+	for (const address of ["::1", "::", "fe80::1%eth0", "fd00:ec2::254", "ff02::1", "2001:db8::1"]) {
+		assert.equal(isBlockedAddress(address), true, address);
+	}
+	assert.equal(isBlockedAddress("2606:4700:4700::1111"), false);
+});
+
+test("IPv4 addresses embedded in IPv6 are checked as IPv4", () => {
+	// mapped, compatible, NAT64 and 6to4
+	for (const address of ["::ffff:127.0.0.1", "::ffff:7f00:1", "::10.0.0.1", "64:ff9b::a9fe:a9fe", "2002:c0a8:0101::1"]) {
+		assert.equal(isBlockedAddress(address), true, address);
+	}
+	assert.equal(isBlockedAddress("::ffff:8.8.8.8"), false);
+	assert.equal(isBlockedAddress("64:ff9b::808:808"), false);
+});
+
+test("anything that is not an IP address is blocked", () => {
+	assert.equal(isBlockedAddress("localhost"), true);
+	assert.equal(isBlockedAddress(""), true);
+});
+
+test("resolvePublicAddress refuses literal non-public addresses", async () => {
+	await assert.rejects(resolvePublicAddress("[::1]"), BlockedHostError);
+	await assert.rejects(resolvePublicAddress("127.0.0.1"), BlockedHostError);
+	assert.deepEqual(await resolvePublicAddress("8.8.8.8"), { address: "8.8.8.8", family: 4 });
+});